@@ -66,7 +66,7 @@ const runMigrations = async () => {
             return false;
         }
 
-        const requiredTables = ['profiles', 'tasks', 'task_analysis'];
+        const requiredTables = ['profiles', 'tasks', 'task_analysis', 'subtasks', 'task_quadrant_moves', 'user_sessions', 'audit_log', 'auth_tokens', 'user_two_factor', 'task_history', 'tags', 'task_tags', 'matrices', 'matrix_members', 'matrix_invitations', 'task_comments', 'task_dependencies', 'time_entries', 'focus_sessions', 'focus_settings'];
         const existingTables = tables.map(t => t.table_name);
         const missingTables = requiredTables.filter(t => !existingTables.includes(t));
 
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const { sessionManager } = require('../utils/sessions');
+const { normalizeRoles, getPermissions, hasPermission } = require('../utils/permissions');
 
 // Configuração Supabase
 const supabase = createClient(
@@ -19,11 +21,25 @@ const authenticateToken = async (req, res, next) => {
 
         // Verificar JWT
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Só access tokens autenticam requisições (refresh e desafio 2FA não)
+        if (decoded.type !== 'access') {
+            return res.status(401).json({ error: 'Invalid token type' });
+        }
+
+        // Rejeitar tokens sem sessão ou de sessões revogadas
+        if (!decoded.sessionId || !(await sessionManager.isSessionActive(decoded.sessionId, decoded.userId))) {
+            return res.status(401).json({ error: 'Session revoked' });
+        }
+
+        // Atualizar "visto por último" sem bloquear a requisição
+        sessionManager.touchSession(decoded.sessionId, { ipAddress: req.ip })
+            .catch(touchError => console.error('Session touch error:', touchError));
         
         // Verificar se usuário ainda existe no banco
         const { data: user, error } = await supabase
             .from('profiles')
-            .select('id, email, full_name')
+            .select('id, email, full_name, roles, disabled_at')
             .eq('id', decoded.userId)
             .single();
 
@@ -32,12 +48,21 @@ const authenticateToken = async (req, res, next) => {
             return res.status(401).json({ error: 'User not found' });
         }
 
+        if (user.disabled_at) {
+            return res.status(403).json({ error: 'Account disabled' });
+        }
+
         // Adicionar informações do usuário ao request
+        // Papéis vêm do perfil (não do token) para que revogações valham imediatamente
+        const roles = normalizeRoles(user.roles);
         req.user = {
             userId: decoded.userId,
             email: decoded.email || user.email,
             fullName: decoded.fullName || user.full_name,
-            id: user.id
+            id: user.id,
+            sessionId: decoded.sessionId,
+            roles,
+            permissions: getPermissions(roles)
         };
 
         next();
@@ -62,18 +87,39 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
-// Middleware para verificar admin
-const requireAdmin = (req, res, next) => {
-    if (!req.user) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    if (req.user.email !== 'admin@admin.com') {
-        return res.status(403).json({ error: 'Admin access required' });
-    }
-    next();
+// Middleware para exigir um dos papéis informados
+const requireRole = (...roles) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const userRoles = req.user.roles || [];
+        if (!roles.some(role => userRoles.includes(role))) {
+            return res.status(403).json({ error: 'Insufficient role', required: roles });
+        }
+        next();
+    };
+};
+
+// Middleware para exigir todas as permissões informadas
+const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const missing = permissions.filter(permission => !hasPermission(req.user.roles, permission));
+        if (missing.length > 0) {
+            return res.status(403).json({ error: 'Insufficient permissions', missing });
+        }
+        next();
+    };
 };
 
+// Middleware para verificar admin
+const requireAdmin = requireRole('admin');
+
 // Middleware para logging de atividades
 const logActivity = (req, res, next) => {
     const startTime = Date.now();
@@ -102,6 +148,8 @@ const userRateLimit = (req, res, next) => {
 
 module.exports = {
     authenticateToken,
+    requireRole,
+    requirePermission,
     requireAdmin,
     logActivity,
     userRateLimit
@@ -0,0 +1,462 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { requirePermission, requireAdmin } = require('../middleware/auth');
+const { ROLES, isValidRole, normalizeRoles, getPermissions } = require('../utils/permissions');
+const { recordAudit, listAudit } = require('../utils/audit');
+const { sessionManager } = require('../utils/sessions');
+const { cacheManager } = require('../utils/cache');
+const { circuitBreakers, getCircuitBreaker, healthCheck } = require('../utils/circuitBreaker');
+const { loginGuard } = require('../utils/loginGuard');
+const { escalationScheduler } = require('../utils/escalationScheduler');
+const { validateEmail } = require('../utils/validation');
+const router = express.Router();
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Buscar perfil com papéis
+const fetchProfile = async (userId) => {
+    return supabase
+        .from('profiles')
+        .select('id, email, full_name, roles')
+        .eq('id', userId)
+        .single();
+};
+
+// Listar papéis e permissões disponíveis
+router.get('/roles', requirePermission('roles:read'), (req, res) => {
+    res.json(Object.keys(ROLES).map(role => ({
+        role,
+        permissions: ROLES[role]
+    })));
+});
+
+// Consultar papéis de um usuário
+router.get('/users/:id/roles', requirePermission('roles:read'), async (req, res) => {
+    try {
+        const { data: profile, error } = await fetchProfile(req.params.id);
+
+        if (error || !profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const roles = normalizeRoles(profile.roles);
+        res.json({
+            userId: profile.id,
+            email: profile.email,
+            roles,
+            permissions: getPermissions(roles)
+        });
+
+    } catch (error) {
+        console.error('Get user roles error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Conceder papel
+router.post('/users/:id/roles', requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const targetId = req.params.id;
+        const { role } = req.body;
+
+        if (!isValidRole(role)) {
+            return res.status(400).json({ error: `Invalid role (${Object.keys(ROLES).join(', ')})` });
+        }
+
+        const { data: profile, error: fetchError } = await fetchProfile(targetId);
+
+        if (fetchError || !profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const currentRoles = normalizeRoles(profile.roles);
+        if (currentRoles.includes(role)) {
+            return res.status(409).json({ error: 'User already has this role' });
+        }
+
+        const roles = [...currentRoles, role];
+        const { error } = await supabase
+            .from('profiles')
+            .update({ roles, updated_at: new Date().toISOString() })
+            .eq('id', targetId);
+
+        if (error) {
+            console.error('Grant role error:', error);
+            return res.status(500).json({ error: 'Failed to grant role' });
+        }
+
+        await recordAudit({
+            actor: req.user,
+            action: 'role.grant',
+            targetType: 'user',
+            targetId,
+            details: { role, previousRoles: currentRoles, roles }
+        });
+
+        res.json({ message: 'Role granted successfully', userId: targetId, roles });
+
+    } catch (error) {
+        console.error('Grant role error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revogar papel
+router.delete('/users/:id/roles/:role', requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const targetId = req.params.id;
+        const { role } = req.params;
+
+        if (!isValidRole(role)) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+
+        // Evitar que o administrador perca o próprio acesso
+        if (targetId === req.user.userId && role === 'admin') {
+            return res.status(400).json({ error: 'You cannot revoke your own admin role' });
+        }
+
+        const { data: profile, error: fetchError } = await fetchProfile(targetId);
+
+        if (fetchError || !profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const currentRoles = normalizeRoles(profile.roles);
+        if (!currentRoles.includes(role)) {
+            return res.status(404).json({ error: 'User does not have this role' });
+        }
+
+        const roles = normalizeRoles(currentRoles.filter(r => r !== role));
+        const { error } = await supabase
+            .from('profiles')
+            .update({ roles, updated_at: new Date().toISOString() })
+            .eq('id', targetId);
+
+        if (error) {
+            console.error('Revoke role error:', error);
+            return res.status(500).json({ error: 'Failed to revoke role' });
+        }
+
+        await recordAudit({
+            actor: req.user,
+            action: 'role.revoke',
+            targetType: 'user',
+            targetId,
+            details: { role, previousRoles: currentRoles, roles }
+        });
+
+        res.json({ message: 'Role revoked successfully', userId: targetId, roles });
+
+    } catch (error) {
+        console.error('Revoke role error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Listar/buscar usuários
+router.get('/users', requirePermission('users:read'), async (req, res) => {
+    try {
+        const { search, status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        let query = supabase
+            .from('profiles')
+            .select('id, email, full_name, roles, created_at, last_login, disabled_at, disabled_reason', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (search && search.trim()) {
+            // Remover caracteres com significado no filtro do PostgREST
+            const term = search.trim().replace(/[%,()*]/g, '').substring(0, 100);
+            query = query.or(`email.ilike.%${term}%,full_name.ilike.%${term}%`);
+        }
+
+        if (status === 'disabled') {
+            query = query.not('disabled_at', 'is', null);
+        } else if (status === 'active') {
+            query = query.is('disabled_at', null);
+        }
+
+        const { data: users, error, count } = await query;
+
+        if (error) {
+            console.error('Fetch users error:', error);
+            return res.status(500).json({ error: 'Failed to fetch users' });
+        }
+
+        res.json({
+            users: users.map(user => ({
+                id: user.id,
+                email: user.email,
+                fullName: user.full_name,
+                roles: normalizeRoles(user.roles),
+                createdAt: user.created_at,
+                lastLogin: user.last_login,
+                disabled: !!user.disabled_at,
+                disabledAt: user.disabled_at,
+                disabledReason: user.disabled_reason
+            })),
+            total: count,
+            limit,
+            offset
+        });
+
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Desativar conta
+router.post('/users/:id/disable', requireAdmin, async (req, res) => {
+    try {
+        const targetId = req.params.id;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().substring(0, 500) : null;
+
+        if (targetId === req.user.userId) {
+            return res.status(400).json({ error: 'You cannot disable your own account' });
+        }
+
+        const { data: profile, error: fetchError } = await fetchProfile(targetId);
+
+        if (fetchError || !profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { error } = await supabase
+            .from('profiles')
+            .update({
+                disabled_at: new Date().toISOString(),
+                disabled_reason: reason,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', targetId);
+
+        if (error) {
+            console.error('Disable user error:', error);
+            return res.status(500).json({ error: 'Failed to disable user' });
+        }
+
+        // Encerrar todas as sessões da conta
+        const { data: revoked } = await sessionManager.revokeOtherSessions(targetId, null, 'account_disabled');
+
+        await recordAudit({
+            actor: req.user,
+            action: 'user.disable',
+            targetType: 'user',
+            targetId,
+            details: { reason, revokedSessions: revoked ? revoked.length : 0 }
+        });
+
+        res.json({ message: 'User disabled successfully' });
+
+    } catch (error) {
+        console.error('Disable user error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reativar conta
+router.post('/users/:id/enable', requireAdmin, async (req, res) => {
+    try {
+        const targetId = req.params.id;
+
+        const { data: profile, error: fetchError } = await fetchProfile(targetId);
+
+        if (fetchError || !profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const { error } = await supabase
+            .from('profiles')
+            .update({
+                disabled_at: null,
+                disabled_reason: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', targetId);
+
+        if (error) {
+            console.error('Enable user error:', error);
+            return res.status(500).json({ error: 'Failed to enable user' });
+        }
+
+        await recordAudit({
+            actor: req.user,
+            action: 'user.enable',
+            targetType: 'user',
+            targetId
+        });
+
+        res.json({ message: 'User enabled successfully' });
+
+    } catch (error) {
+        console.error('Enable user error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Listar logins bloqueados
+router.get('/lockouts', requireAdmin, (req, res) => {
+    res.json(loginGuard.listLocked());
+});
+
+// Desbloquear login de um e-mail
+router.post('/lockouts/unlock', requireAdmin, async (req, res) => {
+    const { email } = req.body;
+
+    if (!validateEmail(email)) {
+        return res.status(400).json({ error: 'Invalid email format' });
+    }
+
+    const unlocked = loginGuard.unlock(email);
+
+    await recordAudit({
+        actor: req.user,
+        action: 'user.unlock',
+        targetType: 'email',
+        targetId: email.toLowerCase(),
+        details: { hadRecord: unlocked }
+    });
+
+    res.json({ message: 'Login unlocked successfully', email: email.toLowerCase() });
+});
+
+// Estatísticas dos caches
+router.get('/caches', requireAdmin, (req, res) => {
+    res.json(cacheManager.getStatistics());
+});
+
+router.get('/caches/:name', requireAdmin, (req, res) => {
+    const stats = cacheManager.getStatistics(req.params.name);
+
+    if (!stats[req.params.name]) {
+        return res.status(404).json({ error: 'Cache not found' });
+    }
+
+    res.json(stats[req.params.name]);
+});
+
+// Limpar todos os caches
+router.delete('/caches', requireAdmin, async (req, res) => {
+    cacheManager.flushAll();
+
+    await recordAudit({ actor: req.user, action: 'cache.flush_all', targetType: 'cache' });
+
+    res.json({ message: 'All caches flushed successfully' });
+});
+
+// Limpar cache específico
+router.delete('/caches/:name', requireAdmin, async (req, res) => {
+    const cacheName = req.params.name;
+
+    if (!cacheManager.caches[cacheName]) {
+        return res.status(404).json({ error: 'Cache not found' });
+    }
+
+    cacheManager.flush(cacheName);
+
+    await recordAudit({ actor: req.user, action: 'cache.flush', targetType: 'cache', targetId: cacheName });
+
+    res.json({ message: `Cache ${cacheName} flushed successfully` });
+});
+
+// Estado dos circuit breakers
+router.get('/circuit-breakers', requireAdmin, (req, res) => {
+    res.json(healthCheck());
+});
+
+router.get('/circuit-breakers/:name', requireAdmin, (req, res) => {
+    const breaker = getCircuitBreaker(req.params.name);
+
+    if (!breaker) {
+        return res.status(404).json({ error: 'Circuit breaker not found' });
+    }
+
+    res.json(breaker.getState());
+});
+
+// Abrir, fechar ou resetar circuit breaker manualmente
+const circuitActions = {
+    open: 'forceOpen',
+    close: 'forceClose',
+    reset: 'reset'
+};
+
+router.post('/circuit-breakers/:name/:action', requireAdmin, async (req, res) => {
+    const { name, action } = req.params;
+    const breaker = getCircuitBreaker(name);
+
+    if (!breaker) {
+        return res.status(404).json({ error: 'Circuit breaker not found', available: Object.keys(circuitBreakers) });
+    }
+
+    if (!circuitActions[action]) {
+        return res.status(400).json({ error: `Invalid action (${Object.keys(circuitActions).join(', ')})` });
+    }
+
+    const previousState = breaker.getState().state;
+    breaker[circuitActions[action]]();
+
+    await recordAudit({
+        actor: req.user,
+        action: `circuit.${action}`,
+        targetType: 'circuit_breaker',
+        targetId: name,
+        details: { previousState, state: breaker.getState().state }
+    });
+
+    res.json({ message: `Circuit breaker ${name} ${action} applied`, ...breaker.getState() });
+});
+
+// Estado do escalonamento automático de quadrantes
+router.get('/escalation', requireAdmin, (req, res) => {
+    res.json(escalationScheduler.getStatus());
+});
+
+// Executar escalonamento imediatamente
+router.post('/escalation/run', requireAdmin, async (req, res) => {
+    try {
+        const result = await escalationScheduler.run();
+
+        if (!result) {
+            return res.status(409).json({ error: 'Escalation run already in progress' });
+        }
+
+        await recordAudit({ actor: req.user, action: 'escalation.run', targetType: 'scheduler', details: result });
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Escalation run error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Consultar trilha de auditoria
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+    try {
+        const { action, targetType, targetId, actorId, limit } = req.query;
+
+        const { data: entries, error } = await listAudit({ action, targetType, targetId, actorId, limit });
+
+        if (error) {
+            console.error('Fetch audit log error:', error);
+            return res.status(500).json({ error: 'Failed to fetch audit log' });
+        }
+
+        res.json(entries);
+
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,9 @@
 const express = require('express');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { createClient } = require('@supabase/supabase-js');
 const { validateAIRequest } = require('../utils/validation');
 const { aiLimiter } = require('../utils/rateLimiter');
 const { getCache, setCache } = require('../utils/cache');
-const circuitBreaker = require('../utils/circuitBreaker');
+const { generateText } = require('../utils/gemini');
 const router = express.Router();
 
 // Configuração Supabase
@@ -13,10 +12,6 @@ const supabase = createClient(
     process.env.SUPABASE_ANON_KEY
 );
 
-// Configuração Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
-
 // Rate limiting específico para IA
 router.use(aiLimiter);
 
@@ -65,12 +60,8 @@ Forneça uma análise estruturada em JSON com:
 Retorne apenas o JSON válido, sem markdown ou formatação adicional.
 `;
 
-        // Fazer chamada para Gemini com circuit breaker
-        const analysis = await circuitBreaker.execute(async () => {
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            return response.text();
-        });
+        // Fazer chamada para Gemini (com circuit breaker)
+        const analysis = await generateText(prompt);
 
         // Processar resposta
         let parsedAnalysis;
@@ -162,11 +153,7 @@ Responda em JSON com:
 Retorne apenas o JSON válido.
 `;
 
-        const suggestion = await circuitBreaker.execute(async () => {
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            return response.text();
-        });
+        const suggestion = await generateText(prompt);
 
         let parsedSuggestion;
         try {
@@ -230,11 +217,7 @@ Responda de forma:
 Responda apenas com o texto da resposta, sem formatação adicional.
 `;
 
-        const response = await circuitBreaker.execute(async () => {
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            return response.text();
-        });
+        const response = await generateText(prompt);
 
         const chatResponse = {
             message: response.trim(),
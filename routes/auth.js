@@ -4,6 +4,15 @@ const bcrypt = require('bcrypt');
 const { createClient } = require('@supabase/supabase-js');
 const { validateEmail, validatePassword } = require('../utils/validation');
 const { authLimiter } = require('../utils/rateLimiter');
+const { sessionManager } = require('../utils/sessions');
+const { authenticateToken } = require('../middleware/auth');
+const { DEFAULT_ROLE, normalizeRoles } = require('../utils/permissions');
+const { TOKEN_TYPES, issueToken, consumeToken } = require('../utils/authTokens');
+const { sendMail, templates } = require('../utils/mailer');
+const { rateLimitCache, delCache } = require('../utils/cache');
+const { exportUserData, deleteUserContent, deleteUserAccount } = require('../utils/accountData');
+const twoFactor = require('../utils/twoFactor');
+const { loginGuard } = require('../utils/loginGuard');
 const router = express.Router();
 
 // Configuração Supabase
@@ -12,11 +21,120 @@ const supabase = createClient(
     process.env.SUPABASE_ANON_KEY
 );
 
-// Rate limiting específico para autenticação
-router.use(authLimiter);
+// Cliente com service role para operações administrativas do Supabase Auth
+const supabaseAdmin = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY
+);
+
+// Notificar o dono da conta quando o login for bloqueado
+loginGuard.on('lockout', async ({ email, lockedUntil }) => {
+    try {
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('email, full_name')
+            .eq('email', email)
+            .single();
+
+        if (profile) {
+            await sendMail({
+                to: profile.email,
+                ...templates.accountLockedEmail({ fullName: profile.full_name, lockedUntil })
+            });
+        }
+    } catch (error) {
+        console.error('Lockout notification error:', error);
+    }
+});
+
+// Limitar envio de e-mails por destinatário (1 por minuto)
+const canSendMailTo = (type, email) => {
+    const key = `mail_${type}_${email}`;
+    if (rateLimitCache.get(key)) {
+        return false;
+    }
+    try {
+        rateLimitCache.set(key, true, 60);
+    } catch (error) {
+        console.error('Mail throttle cache error:', error.message);
+    }
+    return true;
+};
+
+// Reautenticar usuário com a senha atual
+const verifyCurrentPassword = async (email, password) => {
+    if (!password || typeof password !== 'string') {
+        return false;
+    }
+
+    const { error } = await supabase.auth.signInWithPassword({
+        email: email.toLowerCase(),
+        password
+    });
+
+    return !error;
+};
+
+// Criar sessão, registrar login e responder com os tokens
+const completeLogin = async (req, res, profile) => {
+    const { data: session, error: sessionError } = await sessionManager.createSession({
+        id: profile.id,
+        email: profile.email,
+        fullName: profile.full_name,
+        roles: normalizeRoles(profile.roles)
+    }, {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+    });
+
+    if (sessionError) {
+        console.error('Session creation error:', sessionError);
+        return res.status(500).json({ error: 'Failed to create session' });
+    }
+
+    // Atualizar última atividade
+    await supabase
+        .from('profiles')
+        .update({ last_login: new Date().toISOString() })
+        .eq('id', profile.id);
+
+    // Log de auditoria
+    console.log(`User logged in: ${profile.email} at ${new Date().toISOString()}`);
+
+    res.json({
+        message: 'Login successful',
+        user: {
+            id: profile.id,
+            email: profile.email,
+            fullName: profile.full_name,
+            roles: normalizeRoles(profile.roles)
+        },
+        token: session.token,
+        refreshToken: session.refreshToken,
+        refreshExpiresAt: session.refreshExpiresAt
+    });
+};
+
+// Emitir token e enviar e-mail de verificação
+const sendVerificationEmail = async (profile) => {
+    const { data: issued, error } = await issueToken(profile.id, TOKEN_TYPES.EMAIL_VERIFICATION);
+    if (error) {
+        console.error('Issue verification token error:', error);
+        return;
+    }
+
+    await sendMail({
+        to: profile.email,
+        ...templates.emailVerificationEmail({
+            fullName: profile.full_name,
+            token: issued.token,
+            expiresInMinutes: issued.expiresInMinutes
+        })
+    });
+};
 
 // Registro de usuário
-router.post('/register', async (req, res) => {
+router.post('/register', authLimiter, async (req, res) => {
     try {
         const { email, password, fullName } = req.body;
 
@@ -69,6 +187,7 @@ router.post('/register', async (req, res) => {
                 id: authData.user.id,
                 email: email.toLowerCase(),
                 full_name: fullName.trim(),
+                roles: [DEFAULT_ROLE],
                 created_at: new Date().toISOString()
             }]);
 
@@ -77,16 +196,28 @@ router.post('/register', async (req, res) => {
             return res.status(500).json({ error: 'Failed to create user profile' });
         }
 
-        // Gerar JWT
-        const token = jwt.sign(
-            { 
-                userId: authData.user.id, 
-                email: email.toLowerCase(),
-                fullName: fullName.trim()
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-        );
+        // Criar sessão e gerar tokens
+        const { data: session, error: sessionError } = await sessionManager.createSession({
+            id: authData.user.id,
+            email: email.toLowerCase(),
+            fullName: fullName.trim(),
+            roles: [DEFAULT_ROLE]
+        }, {
+            userAgent: req.get('User-Agent'),
+            ipAddress: req.ip
+        });
+
+        if (sessionError) {
+            console.error('Session creation error:', sessionError);
+            return res.status(500).json({ error: 'Failed to create session' });
+        }
+
+        // Enviar e-mail de confirmação (não bloqueia o registro)
+        sendVerificationEmail({
+            id: authData.user.id,
+            email: email.toLowerCase(),
+            full_name: fullName.trim()
+        }).catch(mailError => console.error('Verification email error:', mailError));
 
         // Log de auditoria
         console.log(`User registered: ${email} at ${new Date().toISOString()}`);
@@ -96,9 +227,12 @@ router.post('/register', async (req, res) => {
             user: {
                 id: authData.user.id,
                 email: email.toLowerCase(),
-                fullName: fullName.trim()
+                fullName: fullName.trim(),
+                roles: [DEFAULT_ROLE]
             },
-            token
+            token: session.token,
+            refreshToken: session.refreshToken,
+            refreshExpiresAt: session.refreshExpiresAt
         });
 
     } catch (error) {
@@ -108,7 +242,7 @@ router.post('/register', async (req, res) => {
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -121,14 +255,34 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ error: 'Password is required' });
         }
 
+        const normalizedEmail = email.toLowerCase();
+
+        // Bloqueio por excesso de falhas (mesma resposta exista ou não a conta)
+        const lockRemaining = loginGuard.getLockRemaining(normalizedEmail);
+        if (lockRemaining > 0) {
+            return res.status(429).json({
+                error: 'Too many failed login attempts',
+                retryAfter: lockRemaining,
+                message: 'Please wait before attempting to login again'
+            });
+        }
+
         // Autenticar com Supabase
         const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
-            email: email.toLowerCase(),
+            email: normalizedEmail,
             password: password
         });
 
         if (authError) {
             console.log(`Login attempt failed for ${email}: ${authError.message}`);
+
+            // Atraso progressivo antes de responder
+            const delay = loginGuard.getDelay(normalizedEmail);
+            loginGuard.recordFailure(normalizedEmail, { ip: req.ip });
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
@@ -144,42 +298,312 @@ router.post('/login', async (req, res) => {
             return res.status(500).json({ error: 'Failed to fetch user profile' });
         }
 
-        // Gerar JWT
-        const token = jwt.sign(
-            { 
-                userId: authData.user.id, 
-                email: profile.email,
-                fullName: profile.full_name
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
-        );
+        if (profile.disabled_at) {
+            console.log(`Login attempt on disabled account: ${email}`);
+            return res.status(403).json({ error: 'Account disabled' });
+        }
+
+        // Segundo fator: emitir desafio em vez da sessão
+        if (await twoFactor.isEnabled(profile.id)) {
+            console.log(`2FA challenge issued for ${email} at ${new Date().toISOString()}`);
+
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: twoFactor.signChallengeToken(profile.id)
+            });
+        }
+
+        // Com 2FA, as falhas só são zeradas depois do segundo fator
+        loginGuard.recordSuccess(normalizedEmail);
+
+        await completeLogin(req, res, profile);
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
 
-        // Atualizar última atividade
-        await supabase
+// Segunda etapa do login com 2FA
+router.post('/login/2fa', authLimiter, async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const challenge = twoFactor.verifyChallengeToken(challengeToken);
+        if (!challenge) {
+            return res.status(401).json({ error: 'Invalid or expired challenge' });
+        }
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ error: 'Verification code or recovery code is required' });
+        }
+
+        // Limitar tentativas por desafio
+        const attemptsKey = `2fa_attempts_${challenge.jti}`;
+        const attempts = (rateLimitCache.get(attemptsKey) || 0) + 1;
+        if (attempts > 5) {
+            return res.status(429).json({ error: 'Too many verification attempts, please login again' });
+        }
+        try {
+            rateLimitCache.set(attemptsKey, attempts, 300);
+        } catch (cacheError) {
+            console.error('2FA attempts cache error:', cacheError.message);
+        }
+
+        const { data: profile, error: profileError } = await supabase
             .from('profiles')
-            .update({ last_login: new Date().toISOString() })
-            .eq('id', authData.user.id);
+            .select('*')
+            .eq('id', challenge.userId)
+            .single();
 
-        // Log de auditoria
-        console.log(`User logged in: ${email} at ${new Date().toISOString()}`);
+        if (profileError || !profile) {
+            return res.status(401).json({ error: 'User not found' });
+        }
+
+        // O bloqueio por falhas também vale para o segundo fator (novos desafios não zeram a contagem)
+        const normalizedEmail = profile.email.toLowerCase();
+        const lockRemaining = loginGuard.getLockRemaining(normalizedEmail);
+        if (lockRemaining > 0) {
+            return res.status(429).json({
+                error: 'Too many failed login attempts',
+                retryAfter: lockRemaining,
+                message: 'Please wait before attempting to login again'
+            });
+        }
+
+        const { data: verified, error: verifyError } = await twoFactor.verifySecondFactor(challenge.userId, {
+            code: code ? String(code).trim() : null,
+            recoveryCode
+        });
+
+        if (verifyError) {
+            console.log(`2FA verification failed for user ${challenge.userId}: ${verifyError.message}`);
+
+            const delay = loginGuard.getDelay(normalizedEmail);
+            loginGuard.recordFailure(normalizedEmail, { ip: req.ip });
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            return res.status(401).json({ error: 'Invalid verification code' });
+        }
+
+        loginGuard.recordSuccess(normalizedEmail);
+
+        // Desafio usado não pode ser reaproveitado
+        try {
+            rateLimitCache.set(attemptsKey, Infinity, 300);
+        } catch (cacheError) {
+            console.error('2FA attempts cache error:', cacheError.message);
+        }
+
+        if (profile.disabled_at) {
+            return res.status(403).json({ error: 'Account disabled' });
+        }
+
+        if (verified.method === 'recovery_code') {
+            console.log(`[AUDIT] ${profile.email} logged in with a recovery code (${verified.remainingRecoveryCodes} left)`);
+        }
+
+        await completeLogin(req, res, profile);
+
+    } catch (error) {
+        console.error('2FA login error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Renovar tokens (rotação de refresh token)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const { data: session, error } = await sessionManager.rotate(refreshToken);
+
+        if (error) {
+            return res.status(error.status || 401).json({ error: error.message });
+        }
 
         res.json({
-            message: 'Login successful',
-            user: {
-                id: authData.user.id,
-                email: profile.email,
-                fullName: profile.full_name
-            },
-            token
+            message: 'Token refreshed successfully',
+            user: session.user,
+            token: session.token,
+            refreshToken: session.refreshToken,
+            refreshExpiresAt: session.refreshExpiresAt
         });
 
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Solicitar redefinição de senha
+router.post('/forgot-password', authLimiter, async (req, res) => {
+    // Resposta genérica para não revelar se o e-mail existe
+    const genericResponse = { message: 'If the email is registered, a reset link has been sent' };
+
+    try {
+        const { email } = req.body;
+
+        if (!validateEmail(email)) {
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        const normalizedEmail = email.toLowerCase();
+
+        if (!canSendMailTo(TOKEN_TYPES.PASSWORD_RESET, normalizedEmail)) {
+            return res.json(genericResponse);
+        }
+
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('id, email, full_name, disabled_at')
+            .eq('email', normalizedEmail)
+            .single();
+
+        if (!profile || profile.disabled_at) {
+            return res.json(genericResponse);
+        }
+
+        const { data: issued, error } = await issueToken(profile.id, TOKEN_TYPES.PASSWORD_RESET);
+        if (error) {
+            console.error('Issue reset token error:', error);
+            return res.json(genericResponse);
+        }
+
+        await sendMail({
+            to: profile.email,
+            ...templates.passwordResetEmail({
+                fullName: profile.full_name,
+                token: issued.token,
+                expiresInMinutes: issued.expiresInMinutes
+            })
+        });
+
+        console.log(`Password reset requested for ${normalizedEmail} at ${new Date().toISOString()}`);
+
+        res.json(genericResponse);
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.json(genericResponse);
+    }
+});
+
+// Redefinir senha com token
+router.post('/reset-password', authLimiter, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!validatePassword(password)) {
+            return res.status(400).json({ 
+                error: 'Password must be at least 8 characters with uppercase, lowercase, number and special character' 
+            });
+        }
+
+        const { data: consumed, error: tokenError } = await consumeToken(token, TOKEN_TYPES.PASSWORD_RESET);
+
+        if (tokenError) {
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+
+        const { error: updateError } = await supabaseAdmin.auth.admin.updateUserById(consumed.userId, {
+            password
+        });
+
+        if (updateError) {
+            console.error('Password reset error:', updateError);
+            return res.status(500).json({ error: 'Failed to reset password' });
+        }
+
+        // Encerrar todas as sessões existentes
+        await sessionManager.revokeOtherSessions(consumed.userId, null, 'password_reset');
+
+        console.log(`Password reset completed for user ${consumed.userId} at ${new Date().toISOString()}`);
+
+        res.json({ message: 'Password reset successfully' });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// Confirmar e-mail
+router.post('/verify-email', authLimiter, async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        const { data: consumed, error: tokenError } = await consumeToken(token, TOKEN_TYPES.EMAIL_VERIFICATION);
+
+        if (tokenError) {
+            return res.status(400).json({ error: 'Invalid or expired token' });
+        }
+
+        const { error } = await supabase
+            .from('profiles')
+            .update({
+                email_verified_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', consumed.userId);
+
+        if (error) {
+            console.error('Email verification error:', error);
+            return res.status(500).json({ error: 'Failed to verify email' });
+        }
+
+        console.log(`Email verified for user ${consumed.userId} at ${new Date().toISOString()}`);
+
+        res.json({ message: 'Email verified successfully' });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reenviar e-mail de confirmação
+router.post('/resend-verification', authLimiter, async (req, res) => {
+    const genericResponse = { message: 'If the email is registered and unverified, a verification link has been sent' };
+
+    try {
+        const { email } = req.body;
+
+        if (!validateEmail(email)) {
+            return res.status(400).json({ error: 'Invalid email format' });
+        }
+
+        const normalizedEmail = email.toLowerCase();
+
+        if (!canSendMailTo(TOKEN_TYPES.EMAIL_VERIFICATION, normalizedEmail)) {
+            return res.json(genericResponse);
+        }
+
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('id, email, full_name, email_verified_at')
+            .eq('email', normalizedEmail)
+            .single();
+
+        if (profile && !profile.email_verified_at) {
+            await sendVerificationEmail(profile);
+        }
+
+        res.json(genericResponse);
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.json(genericResponse);
+    }
+});
+
 // Verificar token
 router.get('/verify', async (req, res) => {
     try {
@@ -190,6 +614,15 @@ router.get('/verify', async (req, res) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (decoded.type !== 'access') {
+            return res.status(401).json({ error: 'Invalid token type' });
+        }
+
+        // Verificar se a sessão não foi revogada
+        if (!decoded.sessionId || !(await sessionManager.isSessionActive(decoded.sessionId, decoded.userId))) {
+            return res.status(401).json({ error: 'Session revoked' });
+        }
         
         // Verificar se usuário ainda existe
         const { data: profile, error } = await supabase
@@ -207,7 +640,9 @@ router.get('/verify', async (req, res) => {
             user: {
                 id: profile.id,
                 email: profile.email,
-                fullName: profile.full_name
+                fullName: profile.full_name,
+                roles: normalizeRoles(profile.roles),
+                emailVerified: !!profile.email_verified_at
             }
         });
 
@@ -223,7 +658,13 @@ router.post('/logout', async (req, res) => {
         const token = req.headers.authorization?.replace('Bearer ', '');
         
         if (token) {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            // Token expirado ainda identifica a sessão a ser revogada
+            const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+
+            if (decoded.sessionId) {
+                await sessionManager.revokeSession(decoded.sessionId, 'logout');
+            }
+
             console.log(`User logged out: ${decoded.email} at ${new Date().toISOString()}`);
         }
 
@@ -234,11 +675,84 @@ router.post('/logout', async (req, res) => {
     }
 });
 
+// Listar sessões ativas
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const { data: sessions, error } = await sessionManager.listSessions(req.user.userId);
+
+        if (error) {
+            console.error('Fetch sessions error:', error);
+            return res.status(500).json({ error: 'Failed to fetch sessions' });
+        }
+
+        res.json(sessions.map(session => ({
+            id: session.id,
+            userAgent: session.user_agent,
+            ipAddress: session.ip_address,
+            createdAt: session.created_at,
+            lastSeenAt: session.last_used_at,
+            expiresAt: session.expires_at,
+            current: session.id === req.user.sessionId
+        })));
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Encerrar todas as outras sessões
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const { data: revoked, error } = await sessionManager.revokeOtherSessions(
+            req.user.userId,
+            req.user.sessionId
+        );
+
+        if (error) {
+            return res.status(500).json({ error: 'Failed to revoke sessions' });
+        }
+
+        console.log(`[AUDIT] ${req.user.email} revoked ${revoked.length} other sessions at ${new Date().toISOString()}`);
+
+        res.json({ message: 'Other sessions revoked successfully', revoked: revoked.length });
+
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Encerrar sessão específica
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const sessionId = req.params.id;
+
+        const { data: session, error: fetchError } = await sessionManager.getSession(req.user.userId, sessionId);
+
+        if (fetchError || !session || session.revoked_at) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const { error } = await sessionManager.revokeSession(sessionId, 'revoked_by_user');
+
+        if (error) {
+            return res.status(500).json({ error: 'Failed to revoke session' });
+        }
+
+        console.log(`[AUDIT] ${req.user.email} revoked session ${sessionId} at ${new Date().toISOString()}`);
+
+        res.json({ message: 'Session revoked successfully' });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Atualizar perfil
-router.put('/profile', async (req, res) => {
+router.put('/profile', authenticateToken, async (req, res) => {
     try {
-        const token = req.headers.authorization?.replace('Bearer ', '');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const { fullName } = req.body;
 
         if (!fullName || fullName.trim().length < 2) {
@@ -251,7 +765,7 @@ router.put('/profile', async (req, res) => {
                 full_name: fullName.trim(),
                 updated_at: new Date().toISOString()
             })
-            .eq('id', decoded.userId);
+            .eq('id', req.user.userId);
 
         if (error) {
             console.error('Profile update error:', error);
@@ -266,4 +780,263 @@ router.put('/profile', async (req, res) => {
     }
 });
 
+// Alterar senha
+router.put('/password', authenticateToken, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!validatePassword(newPassword)) {
+            return res.status(400).json({ 
+                error: 'Password must be at least 8 characters with uppercase, lowercase, number and special character' 
+            });
+        }
+
+        if (currentPassword === newPassword) {
+            return res.status(400).json({ error: 'New password must be different from the current one' });
+        }
+
+        if (!(await verifyCurrentPassword(req.user.email, currentPassword))) {
+            console.log(`Password change failed for ${req.user.email}: invalid current password`);
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        const { error } = await supabaseAdmin.auth.admin.updateUserById(req.user.userId, {
+            password: newPassword
+        });
+
+        if (error) {
+            console.error('Password change error:', error);
+            return res.status(500).json({ error: 'Failed to change password' });
+        }
+
+        // Manter apenas a sessão atual
+        const { data: revoked } = await sessionManager.revokeOtherSessions(
+            req.user.userId,
+            req.user.sessionId,
+            'password_changed'
+        );
+
+        console.log(`[AUDIT] ${req.user.email} changed password at ${new Date().toISOString()}`);
+
+        res.json({
+            message: 'Password changed successfully',
+            revokedSessions: revoked ? revoked.length : 0
+        });
+
+    } catch (error) {
+        console.error('Password change error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Excluir conta (retorna exportação final dos dados)
+router.delete('/account', authenticateToken, async (req, res) => {
+    try {
+        const { password, confirm } = req.body;
+        const userId = req.user.userId;
+
+        if (confirm !== 'DELETE') {
+            return res.status(400).json({ error: 'Confirmation required: send confirm: "DELETE"' });
+        }
+
+        if (!(await verifyCurrentPassword(req.user.email, password))) {
+            console.log(`Account deletion failed for ${req.user.email}: invalid password`);
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        const { data: exported, error: exportError } = await exportUserData(userId);
+
+        if (exportError) {
+            console.error('Account export error:', exportError);
+            return res.status(500).json({ error: 'Failed to export account data' });
+        }
+
+        // Conteúdo primeiro: se falhar, a conta continua utilizável e a exclusão pode ser repetida
+        const { error: contentError } = await deleteUserContent(userId);
+
+        if (contentError) {
+            return res.status(500).json({ error: 'Failed to delete account data' });
+        }
+
+        // Encerrar sessões antes de remover os registros delas
+        await sessionManager.revokeOtherSessions(userId, null, 'account_deleted');
+
+        const { error: deleteError } = await deleteUserAccount(userId);
+
+        if (deleteError) {
+            return res.status(500).json({ error: 'Failed to delete account data' });
+        }
+
+        const { error: authDeleteError } = await supabaseAdmin.auth.admin.deleteUser(userId);
+
+        if (authDeleteError) {
+            // Dados já removidos; registrar para limpeza manual do usuário de autenticação
+            console.error('Auth user deletion error:', authDeleteError);
+        }
+
+        delCache(`tasks_${userId}`);
+        delCache(`task_stats_${userId}`);
+
+        console.log(`[AUDIT] Account deleted: ${req.user.email} (${userId}) at ${new Date().toISOString()}`);
+
+        res.json({
+            message: 'Account deleted successfully',
+            export: exported
+        });
+
+    } catch (error) {
+        console.error('Account deletion error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Status do 2FA
+router.get('/2fa', authenticateToken, async (req, res) => {
+    try {
+        const { data: settings, error } = await twoFactor.getSettings(req.user.userId);
+
+        if (error) {
+            console.error('Fetch 2FA settings error:', error);
+            return res.status(500).json({ error: 'Failed to fetch 2FA status' });
+        }
+
+        res.json({
+            enabled: !!(settings && settings.enabled_at),
+            enabledAt: settings?.enabled_at || null,
+            pendingEnrollment: !!(settings && settings.pending_secret),
+            remainingRecoveryCodes: settings?.enabled_at ? (settings.recovery_codes || []).length : 0
+        });
+
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Iniciar cadastro do 2FA
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        if (await twoFactor.isEnabled(req.user.userId)) {
+            return res.status(409).json({ error: '2FA is already enabled' });
+        }
+
+        const { data: enrollment, error } = await twoFactor.startEnrollment(req.user.userId, req.user.email);
+
+        if (error) {
+            console.error('2FA setup error:', error);
+            return res.status(500).json({ error: 'Failed to start 2FA setup' });
+        }
+
+        res.json({
+            message: 'Scan the URI with your authenticator app and confirm with a code',
+            secret: enrollment.secret,
+            otpauthUri: enrollment.otpauthUri
+        });
+
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Confirmar primeiro código e ativar 2FA
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (await twoFactor.isEnabled(req.user.userId)) {
+            return res.status(409).json({ error: '2FA is already enabled' });
+        }
+
+        const { data: enabled, error } = await twoFactor.confirmEnrollment(
+            req.user.userId,
+            code ? String(code).trim() : null
+        );
+
+        if (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        console.log(`[AUDIT] ${req.user.email} enabled 2FA at ${new Date().toISOString()}`);
+
+        res.json({
+            message: '2FA enabled successfully. Store your recovery codes in a safe place',
+            recoveryCodes: enabled.recoveryCodes
+        });
+
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Gerar novos códigos de recuperação
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!(await twoFactor.isEnabled(req.user.userId))) {
+            return res.status(400).json({ error: '2FA is not enabled' });
+        }
+
+        if (!(await verifyCurrentPassword(req.user.email, password))) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        const { data: regenerated, error } = await twoFactor.regenerateRecoveryCodes(req.user.userId);
+
+        if (error) {
+            console.error('Recovery codes error:', error);
+            return res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+        }
+
+        console.log(`[AUDIT] ${req.user.email} regenerated 2FA recovery codes at ${new Date().toISOString()}`);
+
+        res.json({ recoveryCodes: regenerated.recoveryCodes });
+
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Desativar 2FA (exige senha e código)
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (!(await twoFactor.isEnabled(req.user.userId))) {
+            return res.status(400).json({ error: '2FA is not enabled' });
+        }
+
+        if (!(await verifyCurrentPassword(req.user.email, password))) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        const { error: verifyError } = await twoFactor.verifySecondFactor(req.user.userId, {
+            code: code ? String(code).trim() : null,
+            recoveryCode
+        });
+
+        if (verifyError) {
+            return res.status(401).json({ error: 'Invalid verification code' });
+        }
+
+        const { error } = await twoFactor.disable(req.user.userId);
+
+        if (error) {
+            console.error('2FA disable error:', error);
+            return res.status(500).json({ error: 'Failed to disable 2FA' });
+        }
+
+        console.log(`[AUDIT] ${req.user.email} disabled 2FA at ${new Date().toISOString()}`);
+
+        res.json({ message: '2FA disabled successfully' });
+
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,297 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { MATRIX_ROLES, invalidateTaskCaches } = require('../utils/matrices');
+const { getTaskAccess } = require('../utils/taskAccess');
+const { validateComment, resolveMentions } = require('../utils/taskComments');
+const { sendMail, templates } = require('../utils/mailer');
+const router = express.Router({ mergeParams: true });
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const fetchComment = async (commentId, taskId) => {
+    const { data: comment, error } = await supabase
+        .from('task_comments')
+        .select('*')
+        .eq('id', commentId)
+        .eq('task_id', taskId)
+        .is('deleted_at', null)
+        .single();
+
+    return error ? null : comment;
+};
+
+// Avisar por e-mail os mencionados (exceto o próprio autor)
+const notifyMentions = async (mentioned, { task, comment, authorId }) => {
+    const recipients = mentioned.filter(profile => profile.id !== authorId && profile.email);
+    if (recipients.length === 0) return;
+
+    const { data: author } = await supabase
+        .from('profiles')
+        .select('full_name')
+        .eq('id', authorId)
+        .single();
+
+    for (const profile of recipients) {
+        await sendMail({
+            to: profile.email,
+            ...templates.taskMentionEmail({
+                fullName: profile.full_name,
+                authorName: author && author.full_name,
+                taskTitle: task.title,
+                taskId: task.id,
+                comment: comment.body
+            })
+        });
+    }
+};
+
+// Listar comentários em threads (respostas dentro do comentário raiz)
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.VIEWER);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: comments, error } = await supabase
+            .from('task_comments')
+            .select('*')
+            .eq('task_id', task.id)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Fetch comments error:', error);
+            return res.status(500).json({ error: 'Failed to fetch comments' });
+        }
+
+        const { data: authors, error: authorsError } = comments.length > 0
+            ? await supabase
+                .from('profiles')
+                .select('id, full_name')
+                .in('id', [...new Set(comments.map(comment => comment.user_id).filter(Boolean))])
+            : { data: [], error: null };
+
+        if (authorsError) {
+            console.error('Fetch comment authors error:', authorsError);
+            return res.status(500).json({ error: 'Failed to fetch comments' });
+        }
+
+        const authorById = Object.fromEntries(authors.map(author => [author.id, author]));
+        const withAuthor = (comment) => ({ ...comment, author: authorById[comment.user_id] || null });
+
+        const threads = comments
+            .filter(comment => !comment.parent_id)
+            .map(comment => ({
+                ...withAuthor(comment),
+                replies: comments
+                    .filter(reply => reply.parent_id === comment.id && !reply.deleted_at)
+                    .map(withAuthor)
+            }))
+            // Comentário removido só permanece (sem texto) se ainda tiver respostas
+            .filter(thread => !thread.deleted_at || thread.replies.length > 0);
+
+        res.json({
+            comments: threads,
+            total: comments.filter(comment => !comment.deleted_at).length
+        });
+
+    } catch (error) {
+        console.error('Get comments error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Comentar (parentId responde a um comentário; respostas ficam na thread do raiz)
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { body, parentId } = req.body;
+
+        const validation = validateComment(body);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        let threadId = null;
+        if (parentId !== undefined && parentId !== null) {
+            const parent = typeof parentId === 'string' ? await fetchComment(parentId, task.id) : null;
+            if (!parent) {
+                return res.status(404).json({ error: 'Parent comment not found' });
+            }
+            threadId = parent.parent_id || parent.id;
+        }
+
+        const { data: mentioned, error: mentionError } = await resolveMentions(validation.value, task);
+        if (mentionError) {
+            return res.status(mentionError.status).json({ error: mentionError.message });
+        }
+
+        const { data: comment, error } = await supabase
+            .from('task_comments')
+            .insert([{
+                task_id: task.id,
+                user_id: userId,
+                parent_id: threadId,
+                body: validation.value,
+                mentions: mentioned.map(profile => profile.id),
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Create comment error:', error);
+            return res.status(500).json({ error: 'Failed to create comment' });
+        }
+
+        await notifyMentions(mentioned, { task, comment, authorId: userId });
+
+        // Invalidar cache (contagem de comentários na listagem)
+        await invalidateTaskCaches(task.user_id, task.matrix_id);
+
+        console.log(`Comment created: ${comment.id} on task ${task.id} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.status(201).json({
+            message: 'Comment created successfully',
+            comment
+        });
+
+    } catch (error) {
+        console.error('Create comment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Editar comentário (apenas o autor)
+router.put('/:commentId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const validation = validateComment(req.body.body);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const existingComment = await fetchComment(req.params.commentId, task.id);
+        if (!existingComment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        if (existingComment.user_id !== userId) {
+            return res.status(403).json({ error: 'Only the author can edit this comment' });
+        }
+
+        const { data: mentioned, error: mentionError } = await resolveMentions(validation.value, task);
+        if (mentionError) {
+            return res.status(mentionError.status).json({ error: mentionError.message });
+        }
+
+        const now = new Date().toISOString();
+        const { data: comment, error } = await supabase
+            .from('task_comments')
+            .update({
+                body: validation.value,
+                mentions: mentioned.map(profile => profile.id),
+                edited_at: now,
+                updated_at: now
+            })
+            .eq('id', existingComment.id)
+            .eq('user_id', userId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Update comment error:', error);
+            return res.status(500).json({ error: 'Failed to update comment' });
+        }
+
+        // Avisar apenas quem passou a ser mencionado na edição
+        const previousMentions = existingComment.mentions || [];
+        await notifyMentions(
+            mentioned.filter(profile => !previousMentions.includes(profile.id)),
+            { task, comment, authorId: userId }
+        );
+
+        res.json({
+            message: 'Comment updated successfully',
+            comment
+        });
+
+    } catch (error) {
+        console.error('Update comment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Deletar comentário (apenas o autor). O registro é mantido sem texto
+// para não quebrar a thread; é removido junto com a tarefa.
+router.delete('/:commentId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.VIEWER);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const existingComment = await fetchComment(req.params.commentId, task.id);
+        if (!existingComment) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        if (existingComment.user_id !== userId) {
+            return res.status(403).json({ error: 'Only the author can delete this comment' });
+        }
+
+        const now = new Date().toISOString();
+        const { error } = await supabase
+            .from('task_comments')
+            .update({ body: null, mentions: [], deleted_at: now, updated_at: now })
+            .eq('id', existingComment.id)
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error('Delete comment error:', error);
+            return res.status(500).json({ error: 'Failed to delete comment' });
+        }
+
+        // Invalidar cache (contagem de comentários na listagem)
+        await invalidateTaskCaches(task.user_id, task.matrix_id);
+
+        console.log(`Comment deleted: ${existingComment.id} on task ${task.id} by user ${userId} at ${now}`);
+
+        res.json({ message: 'Comment deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
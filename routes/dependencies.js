@@ -0,0 +1,207 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { MATRIX_ROLES, invalidateTaskCaches } = require('../utils/matrices');
+const { getTaskAccess } = require('../utils/taskAccess');
+const { MAX_BLOCKERS_PER_TASK, wouldCreateCycle } = require('../utils/taskDependencies');
+const router = express.Router({ mergeParams: true });
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const TASK_SUMMARY_FIELDS = 'id, title, status, quadrant, task_number, matrix_id, deleted_at';
+
+// Listar bloqueadores da tarefa e tarefas que ela bloqueia
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.VIEWER);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: blockerLinks, error: blockersError } = await supabase
+            .from('task_dependencies')
+            .select(`created_at, task:tasks!blocked_by_task_id(${TASK_SUMMARY_FIELDS})`)
+            .eq('task_id', task.id);
+
+        const { data: blockingLinks, error: blockingError } = blockersError
+            ? { data: null, error: null }
+            : await supabase
+                .from('task_dependencies')
+                .select(`created_at, task:tasks!task_id(${TASK_SUMMARY_FIELDS})`)
+                .eq('blocked_by_task_id', task.id);
+
+        if (blockersError || blockingError) {
+            console.error('Fetch task dependencies error:', blockersError || blockingError);
+            return res.status(500).json({ error: 'Failed to fetch dependencies' });
+        }
+
+        // Tarefas na lixeira não bloqueiam nem aparecem
+        const toSummary = (links) => links
+            .filter(link => link.task && !link.task.deleted_at)
+            .map(({ task: { deleted_at, ...summary }, created_at }) => ({ ...summary, linked_at: created_at }));
+
+        const blockedBy = toSummary(blockerLinks);
+
+        res.json({
+            blocked: blockedBy.some(blocker => blocker.status !== 'completed'),
+            blockedBy,
+            blocking: toSummary(blockingLinks)
+        });
+
+    } catch (error) {
+        console.error('Get task dependencies error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Adicionar bloqueador ("esta tarefa é bloqueada por blockedByTaskId")
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { blockedByTaskId } = req.body;
+
+        if (!blockedByTaskId || typeof blockedByTaskId !== 'string') {
+            return res.status(400).json({ error: 'blockedByTaskId is required' });
+        }
+
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        if (blockedByTaskId === task.id) {
+            return res.status(400).json({ error: 'A task cannot block itself' });
+        }
+
+        const { data: blockerAccess, error: blockerError } = await getTaskAccess(blockedByTaskId, userId, MATRIX_ROLES.VIEWER);
+
+        if (blockerError) {
+            return res.status(blockerError.status).json({ error: blockerError.status === 404 ? 'Blocking task not found' : blockerError.message });
+        }
+
+        const blocker = blockerAccess.task;
+
+        // Dependências ficam dentro das tarefas de um mesmo dono
+        if (blocker.user_id !== task.user_id) {
+            return res.status(400).json({ error: 'Tasks from different owners cannot depend on each other' });
+        }
+
+        const { data: existingLinks, error: fetchError } = await supabase
+            .from('task_dependencies')
+            .select('blocked_by_task_id')
+            .eq('task_id', task.id);
+
+        if (fetchError) {
+            console.error('Fetch task dependencies error:', fetchError);
+            return res.status(500).json({ error: 'Failed to add dependency' });
+        }
+
+        if (existingLinks.some(link => link.blocked_by_task_id === blocker.id)) {
+            return res.status(409).json({ error: 'Dependency already exists' });
+        }
+
+        if (existingLinks.length >= MAX_BLOCKERS_PER_TASK) {
+            return res.status(400).json({ error: `A task can have at most ${MAX_BLOCKERS_PER_TASK} blockers` });
+        }
+
+        const { data: createsCycle, error: cycleError } = await wouldCreateCycle(task.id, blocker.id);
+
+        if (cycleError && cycleError.status) {
+            return res.status(cycleError.status).json({ error: cycleError.message });
+        }
+
+        if (cycleError) {
+            console.error('Check dependency cycle error:', cycleError);
+            return res.status(500).json({ error: 'Failed to add dependency' });
+        }
+
+        if (createsCycle) {
+            return res.status(409).json({ error: 'Dependency would create a cycle' });
+        }
+
+        const { data: dependency, error } = await supabase
+            .from('task_dependencies')
+            .insert([{
+                task_id: task.id,
+                blocked_by_task_id: blocker.id,
+                user_id: task.user_id,
+                created_by: userId,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Create task dependency error:', error);
+            return res.status(500).json({ error: 'Failed to add dependency' });
+        }
+
+        // Invalidar cache (flag blocked na listagem)
+        await invalidateTaskCaches(task.user_id, task.matrix_id);
+
+        console.log(`Task dependency added: ${task.id} blocked by ${blocker.id} by user ${userId}`);
+
+        res.status(201).json({
+            message: 'Dependency added successfully',
+            dependency,
+            blocked: blocker.status !== 'completed'
+        });
+
+    } catch (error) {
+        console.error('Create task dependency error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Remover bloqueador
+router.delete('/:blockerId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: deleted, error } = await supabase
+            .from('task_dependencies')
+            .delete()
+            .eq('task_id', task.id)
+            .eq('blocked_by_task_id', req.params.blockerId)
+            .select('task_id');
+
+        if (error) {
+            console.error('Delete task dependency error:', error);
+            return res.status(500).json({ error: 'Failed to remove dependency' });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        // Invalidar cache
+        await invalidateTaskCaches(task.user_id, task.matrix_id);
+
+        console.log(`Task dependency removed: ${task.id} no longer blocked by ${req.params.blockerId} by user ${userId}`);
+
+        res.json({ message: 'Dependency removed successfully' });
+
+    } catch (error) {
+        console.error('Delete task dependency error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,463 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { deleteCache } = require('../utils/cache');
+const { MATRIX_ROLES } = require('../utils/matrices');
+const { getTaskAccess } = require('../utils/taskAccess');
+const {
+    FOCUS_STATUSES,
+    ACTIVE_STATUSES,
+    validateFocusSettings,
+    getFocusSettings,
+    focusedSeconds,
+    parseTzOffset,
+    dayKey,
+    summarizeDailyFocus
+} = require('../utils/focusSessions');
+const router = express.Router();
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STATS_DAYS = 92;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Código do Postgres para violação de restrição única
+const UNIQUE_VIOLATION = '23505';
+
+const fetchSession = async (sessionId, userId) => {
+    const { data: session, error } = await supabase
+        .from('focus_sessions')
+        .select('*')
+        .eq('id', sessionId)
+        .eq('user_id', userId)
+        .single();
+
+    return error ? null : session;
+};
+
+// Sessão ativa do usuário (no máximo uma)
+const fetchActiveSession = async (userId) => {
+    const { data: sessions, error } = await supabase
+        .from('focus_sessions')
+        .select('*')
+        .eq('user_id', userId)
+        .in('status', ACTIVE_STATUSES)
+        .limit(1);
+
+    return { data: sessions ? sessions[0] || null : null, error };
+};
+
+// Pausa em andamento somada ao total de pausas
+const closePause = (session, now) => {
+    if (session.status !== FOCUS_STATUSES.PAUSED) {
+        return session.paused_seconds || 0;
+    }
+    return (session.paused_seconds || 0) + Math.floor((now - new Date(session.paused_at)) / 1000);
+};
+
+// Sessão concluída vira registro de tempo da tarefa (origem "focus")
+const recordFocusTime = async (session, userId) => {
+    if (!session.focused_seconds) return;
+
+    const { data: access } = await getTaskAccess(session.task_id, userId, MATRIX_ROLES.EDITOR);
+    if (!access) return;
+
+    const { error } = await supabase
+        .from('time_entries')
+        .insert([{
+            task_id: session.task_id,
+            user_id: userId,
+            source: 'focus',
+            started_at: session.started_at,
+            ended_at: session.ended_at,
+            duration_seconds: session.focused_seconds,
+            note: null,
+            created_at: session.ended_at
+        }]);
+
+    if (error) {
+        console.error('Record focus time error:', error);
+        return;
+    }
+
+    deleteCache(`task_stats_${access.task.user_id}`);
+};
+
+// Próxima pausa: longa a cada N sessões concluídas no dia (no fuso do usuário)
+const suggestBreak = async (userId, settings, now, tzOffsetMinutes = 0) => {
+    const startOfDay = new Date(new Date(`${dayKey(now, tzOffsetMinutes)}T00:00:00Z`).getTime() - tzOffsetMinutes * 60 * 1000);
+
+    const { count } = await supabase
+        .from('focus_sessions')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('status', FOCUS_STATUSES.COMPLETED)
+        .gte('started_at', startOfDay.toISOString());
+
+    const isLong = !!count && count % settings.sessions_before_long_break === 0;
+
+    return {
+        type: isLong ? 'long' : 'short',
+        minutes: isLong ? settings.long_break_minutes : settings.short_break_minutes
+    };
+};
+
+// Configurações de foco do usuário
+router.get('/settings', async (req, res) => {
+    try {
+        const { data: settings, error } = await getFocusSettings(req.user.userId);
+
+        if (error) {
+            console.error('Fetch focus settings error:', error);
+            return res.status(500).json({ error: 'Failed to fetch focus settings' });
+        }
+
+        res.json(settings);
+
+    } catch (error) {
+        console.error('Get focus settings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+router.put('/settings', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const validation = validateFocusSettings(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const { data: current, error: fetchError } = await getFocusSettings(userId);
+
+        if (fetchError) {
+            console.error('Fetch focus settings error:', fetchError);
+            return res.status(500).json({ error: 'Failed to update focus settings' });
+        }
+
+        const { data: settings, error } = await supabase
+            .from('focus_settings')
+            .upsert({
+                ...current,
+                ...validation.value,
+                user_id: userId,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'user_id' })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Update focus settings error:', error);
+            return res.status(500).json({ error: 'Failed to update focus settings' });
+        }
+
+        res.json({
+            message: 'Focus settings updated successfully',
+            settings
+        });
+
+    } catch (error) {
+        console.error('Update focus settings error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Sessão ativa (ou null)
+router.get('/sessions/active', async (req, res) => {
+    try {
+        const { data: session, error } = await fetchActiveSession(req.user.userId);
+
+        if (error) {
+            console.error('Fetch active focus session error:', error);
+            return res.status(500).json({ error: 'Failed to fetch focus session' });
+        }
+
+        res.json({
+            session: session && { ...session, focused_seconds: focusedSeconds(session) }
+        });
+
+    } catch (error) {
+        console.error('Get active focus session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Histórico de sessões (?taskId, ?from, ?to, ?limit)
+router.get('/sessions', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { taskId, from, to } = req.query;
+
+        const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({ error: 'limit must be between 1 and 100' });
+        }
+
+        if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+            return res.status(400).json({ error: 'from/to must be valid dates' });
+        }
+
+        let query = supabase
+            .from('focus_sessions')
+            .select('*')
+            .eq('user_id', userId)
+            .order('started_at', { ascending: false })
+            .limit(limit);
+
+        if (taskId) query = query.eq('task_id', taskId);
+        if (from) query = query.gte('started_at', new Date(from).toISOString());
+        if (to) query = query.lte('started_at', new Date(to).toISOString());
+
+        const { data: sessions, error } = await query;
+
+        if (error) {
+            console.error('Fetch focus sessions error:', error);
+            return res.status(500).json({ error: 'Failed to fetch focus sessions' });
+        }
+
+        const now = new Date();
+        res.json(sessions.map(session => ({ ...session, focused_seconds: focusedSeconds(session, now) })));
+
+    } catch (error) {
+        console.error('Get focus sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Iniciar sessão de foco em uma tarefa.
+// Uma sessão ativa por usuário: garantido pelo índice único parcial
+// focus_sessions(user_id) WHERE status IN ('running', 'paused').
+router.post('/sessions', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { taskId, workMinutes } = req.body;
+
+        if (!taskId || typeof taskId !== 'string') {
+            return res.status(400).json({ error: 'taskId is required' });
+        }
+
+        const { data: settings, error: settingsError } = await getFocusSettings(userId);
+
+        if (settingsError) {
+            console.error('Fetch focus settings error:', settingsError);
+            return res.status(500).json({ error: 'Failed to start focus session' });
+        }
+
+        if (workMinutes !== undefined) {
+            const validation = validateFocusSettings({ workMinutes });
+            if (!validation.isValid) {
+                return res.status(400).json({ error: validation.error });
+            }
+        }
+
+        const { data: access, error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { data: active, error: activeError } = await fetchActiveSession(userId);
+
+        if (activeError) {
+            console.error('Fetch active focus session error:', activeError);
+            return res.status(500).json({ error: 'Failed to start focus session' });
+        }
+
+        if (active) {
+            return res.status(409).json({ error: 'Another focus session is active; complete or abandon it first', session: active });
+        }
+
+        const now = new Date().toISOString();
+        const { data: session, error } = await supabase
+            .from('focus_sessions')
+            .insert([{
+                user_id: userId,
+                task_id: access.task.id,
+                // Quadrante no início da sessão (a tarefa pode mudar depois)
+                quadrant: access.task.quadrant,
+                status: FOCUS_STATUSES.RUNNING,
+                work_minutes: workMinutes || settings.work_minutes,
+                started_at: now,
+                paused_at: null,
+                paused_seconds: 0,
+                ended_at: null,
+                focused_seconds: null,
+                created_at: now
+            }])
+            .select()
+            .single();
+
+        if (error && error.code === UNIQUE_VIOLATION) {
+            return res.status(409).json({ error: 'Another focus session is active; complete or abandon it first' });
+        }
+
+        if (error) {
+            console.error('Start focus session error:', error);
+            return res.status(500).json({ error: 'Failed to start focus session' });
+        }
+
+        console.log(`Focus session started: ${session.id} on task ${taskId} by user ${userId} at ${now}`);
+
+        res.status(201).json({
+            message: 'Focus session started',
+            session,
+            endsAt: new Date(new Date(now).getTime() + session.work_minutes * 60 * 1000).toISOString()
+        });
+
+    } catch (error) {
+        console.error('Start focus session error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Transições de estado: `from` lista os estados aceitos, `update` monta a alteração,
+// `parse` valida opções da requisição (repassadas para `after`)
+const changeSession = (action, { from, update, after, parse }) => async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const options = parse ? parse(req) : { isValid: true, value: null };
+        if (!options.isValid) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        const existingSession = await fetchSession(req.params.id, userId);
+        if (!existingSession) {
+            return res.status(404).json({ error: 'Focus session not found' });
+        }
+
+        if (!from.includes(existingSession.status)) {
+            return res.status(409).json({ error: `Cannot ${action} a ${existingSession.status} session` });
+        }
+
+        const now = new Date();
+        const { data: session, error } = await supabase
+            .from('focus_sessions')
+            .update({ ...update(existingSession, now), updated_at: now.toISOString() })
+            .eq('id', existingSession.id)
+            .eq('user_id', userId)
+            .eq('status', existingSession.status)
+            .select()
+            .single();
+
+        if (error || !session) {
+            console.error(`Focus session ${action} error:`, error);
+            return res.status(500).json({ error: 'Failed to update focus session' });
+        }
+
+        const extra = after ? await after(session, userId, now, options.value) : {};
+
+        res.json({ message: `Focus session ${session.status}`, session, ...extra });
+
+    } catch (error) {
+        console.error(`Focus session ${action} error:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Encerrar: pausas em aberto são fechadas antes de calcular o foco
+const finish = (status) => (session, now) => {
+    const pausedSeconds = closePause(session, now);
+    return {
+        status,
+        paused_at: null,
+        paused_seconds: pausedSeconds,
+        ended_at: now.toISOString(),
+        focused_seconds: focusedSeconds({ ...session, status: FOCUS_STATUSES.RUNNING, paused_seconds: pausedSeconds }, now)
+    };
+};
+
+router.post('/sessions/:id/pause', changeSession('pause', {
+    from: [FOCUS_STATUSES.RUNNING],
+    update: (session, now) => ({ status: FOCUS_STATUSES.PAUSED, paused_at: now.toISOString() })
+}));
+
+router.post('/sessions/:id/resume', changeSession('resume', {
+    from: [FOCUS_STATUSES.PAUSED],
+    update: (session, now) => ({
+        status: FOCUS_STATUSES.RUNNING,
+        paused_at: null,
+        paused_seconds: closePause(session, now)
+    })
+}));
+
+router.post('/sessions/:id/complete', changeSession('complete', {
+    from: ACTIVE_STATUSES,
+    update: finish(FOCUS_STATUSES.COMPLETED),
+    parse: (req) => parseTzOffset(req.body.tzOffset ?? req.query.tzOffset),
+    after: async (session, userId, now, tzOffsetMinutes) => {
+        await recordFocusTime(session, userId);
+        console.log(`Focus session completed: ${session.id} (${session.focused_seconds}s) by user ${userId}`);
+
+        const { data: settings } = await getFocusSettings(userId);
+        return settings ? { nextBreak: await suggestBreak(userId, settings, now, tzOffsetMinutes) } : {};
+    }
+}));
+
+router.post('/sessions/:id/abandon', changeSession('abandon', {
+    from: ACTIVE_STATUSES,
+    update: finish(FOCUS_STATUSES.ABANDONED)
+}));
+
+// Totais diários de foco por quadrante (?from=YYYY-MM-DD&to=YYYY-MM-DD&tzOffset=minutos)
+router.get('/stats/daily', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const tzOffset = parseTzOffset(req.query.tzOffset);
+        if (!tzOffset.isValid) {
+            return res.status(400).json({ error: tzOffset.error });
+        }
+
+        const tzOffsetMinutes = tzOffset.value;
+
+        const now = new Date();
+        const to = req.query.to || dayKey(now, tzOffsetMinutes);
+        const from = req.query.from || dayKey(new Date(new Date(`${to}T00:00:00Z`).getTime() - 6 * DAY_MS));
+
+        if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) ||
+            isNaN(new Date(from).getTime()) || isNaN(new Date(to).getTime())) {
+            return res.status(400).json({ error: 'from/to must be dates (YYYY-MM-DD)' });
+        }
+
+        const rangeDays = Math.round((new Date(to) - new Date(from)) / DAY_MS) + 1;
+        if (rangeDays < 1 || rangeDays > MAX_STATS_DAYS) {
+            return res.status(400).json({ error: `Date range must cover 1 to ${MAX_STATS_DAYS} days` });
+        }
+
+        // Limites do intervalo convertidos do fuso do usuário para UTC
+        const offsetMs = tzOffsetMinutes * 60 * 1000;
+        const rangeStart = new Date(new Date(`${from}T00:00:00Z`).getTime() - offsetMs);
+        const rangeEnd = new Date(new Date(`${to}T00:00:00Z`).getTime() + DAY_MS - offsetMs);
+
+        const { data: sessions, error } = await supabase
+            .from('focus_sessions')
+            .select('quadrant, status, work_minutes, started_at, paused_at, paused_seconds, focused_seconds')
+            .eq('user_id', userId)
+            .gte('started_at', rangeStart.toISOString())
+            .lt('started_at', rangeEnd.toISOString());
+
+        if (error) {
+            console.error('Fetch focus stats error:', error);
+            return res.status(500).json({ error: 'Failed to fetch focus statistics' });
+        }
+
+        res.json({
+            from,
+            to,
+            tzOffset: tzOffsetMinutes,
+            ...summarizeDailyFocus(sessions, { from, to, tzOffsetMinutes }, now)
+        });
+
+    } catch (error) {
+        console.error('Get focus stats error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,776 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { deleteCache } = require('../utils/cache');
+const { MATRIX_ROLES, fetchMatrix, invalidateTaskCaches } = require('../utils/matrices');
+const { sendMail, templates } = require('../utils/mailer');
+const router = express.Router();
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Validar nome e descrição da matriz
+const validateMatrix = ({ name, description }, { partial = false } = {}) => {
+    const value = {};
+
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return { isValid: false, error: 'Matrix name is required' };
+        }
+        if (name.trim().length > 100) {
+            return { isValid: false, error: 'Matrix name must be at most 100 characters' };
+        }
+        value.name = name.trim();
+    }
+
+    if (description !== undefined) {
+        if (description !== null && typeof description !== 'string') {
+            return { isValid: false, error: 'Matrix description must be a string' };
+        }
+        value.description = description ? description.trim().substring(0, 500) : null;
+    }
+
+    return { isValid: true, value };
+};
+
+// Nome de matriz é único por usuário (sem diferenciar maiúsculas)
+const findMatrixByName = async (name, userId) => {
+    const { data: matrices } = await supabase
+        .from('matrices')
+        .select('id')
+        .eq('user_id', userId)
+        .ilike('name', name.replace(/[%_\\]/g, '\\$&'));
+
+    return matrices && matrices.length > 0 ? matrices[0] : null;
+};
+
+// Código do Postgres para violação de restrição única
+const UNIQUE_VIOLATION = '23505';
+
+// Papéis que podem ser concedidos a membros (o dono é único)
+const MEMBER_ROLES = [MATRIX_ROLES.EDITOR, MATRIX_ROLES.VIEWER];
+
+// Apenas o dono altera, arquiva, exclui e gerencia membros
+const requireOwner = (matrix, res) => {
+    if (matrix.role !== MATRIX_ROLES.OWNER) {
+        res.status(403).json({ error: 'Only the matrix owner can do this' });
+        return false;
+    }
+    return true;
+};
+
+// Contagem de tarefas ativas por quadrante da matriz
+const countMatrixTasks = async (matrixId) => {
+    const { data: tasks, error } = await supabase
+        .from('tasks')
+        .select('quadrant, status')
+        .eq('matrix_id', matrixId)
+        .is('deleted_at', null);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    const counts = { total: tasks.length, completed: 0, 1: 0, 2: 0, 3: 0, 4: 0 };
+    tasks.forEach(task => {
+        counts[task.quadrant]++;
+        if (task.status === 'completed') counts.completed++;
+    });
+
+    return { data: counts, error: null };
+};
+
+// Listar matrizes próprias e compartilhadas (arquivadas apenas com ?includeArchived=true)
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { data: memberships, error: memberError } = await supabase
+            .from('matrix_members')
+            .select('matrix_id, role')
+            .eq('user_id', userId);
+
+        if (memberError) {
+            console.error('Fetch matrix memberships error:', memberError);
+            return res.status(500).json({ error: 'Failed to fetch matrices' });
+        }
+
+        const memberRoles = Object.fromEntries(memberships.map(member => [member.matrix_id, member.role]));
+        const ownerFilter = `user_id.eq.${userId}`;
+
+        let query = supabase
+            .from('matrices')
+            .select('*')
+            .or(memberships.length > 0 ? `${ownerFilter},id.in.(${Object.keys(memberRoles).join(',')})` : ownerFilter)
+            .order('created_at', { ascending: true });
+
+        if (req.query.includeArchived !== 'true') {
+            query = query.is('archived_at', null);
+        }
+
+        const { data: matrices, error } = await query;
+
+        if (error) {
+            console.error('Fetch matrices error:', error);
+            return res.status(500).json({ error: 'Failed to fetch matrices' });
+        }
+
+        res.json(matrices.map(matrix => ({
+            ...matrix,
+            role: matrix.user_id === userId ? MATRIX_ROLES.OWNER : memberRoles[matrix.id]
+        })));
+
+    } catch (error) {
+        console.error('Get matrices error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Criar matriz
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const validation = validateMatrix(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        if (await findMatrixByName(validation.value.name, userId)) {
+            return res.status(409).json({ error: 'A matrix with this name already exists' });
+        }
+
+        const { data: matrix, error } = await supabase
+            .from('matrices')
+            .insert([{
+                user_id: userId,
+                description: null,
+                ...validation.value,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Create matrix error:', error);
+            return res.status(500).json({ error: 'Failed to create matrix' });
+        }
+
+        console.log(`Matrix created: ${matrix.id} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.status(201).json({
+            message: 'Matrix created successfully',
+            matrix
+        });
+
+    } catch (error) {
+        console.error('Create matrix error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Convites pendentes recebidos pelo usuário
+router.get('/invitations', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { data: invitations, error } = await supabase
+            .from('matrix_invitations')
+            .select('id, matrix_id, role, invited_by, created_at')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Fetch matrix invitations error:', error);
+            return res.status(500).json({ error: 'Failed to fetch invitations' });
+        }
+
+        if (invitations.length === 0) {
+            return res.json([]);
+        }
+
+        const { data: matrices, error: matricesError } = await supabase
+            .from('matrices')
+            .select('id, name')
+            .in('id', [...new Set(invitations.map(invitation => invitation.matrix_id))]);
+
+        const { data: inviters, error: invitersError } = matricesError
+            ? { data: null, error: null }
+            : await supabase
+                .from('profiles')
+                .select('id, full_name')
+                .in('id', [...new Set(invitations.map(invitation => invitation.invited_by))]);
+
+        if (matricesError || invitersError) {
+            console.error('Fetch invitation details error:', matricesError || invitersError);
+            return res.status(500).json({ error: 'Failed to fetch invitations' });
+        }
+
+        const matrixById = Object.fromEntries(matrices.map(matrix => [matrix.id, matrix]));
+        const inviterById = Object.fromEntries(inviters.map(inviter => [inviter.id, inviter]));
+
+        res.json(invitations
+            .filter(invitation => matrixById[invitation.matrix_id])
+            .map(invitation => ({
+                ...invitation,
+                matrix_name: matrixById[invitation.matrix_id].name,
+                inviter_name: inviterById[invitation.invited_by] ? inviterById[invitation.invited_by].full_name : null
+            })));
+
+    } catch (error) {
+        console.error('Get matrix invitations error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Aceitar convite: só agora o usuário passa a ser membro da matriz
+router.post('/invitations/:invitationId/accept', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { data: invitation } = await supabase
+            .from('matrix_invitations')
+            .select('*')
+            .eq('id', req.params.invitationId)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (!invitation) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        const { data: matrix } = await supabase
+            .from('matrices')
+            .select('*')
+            .eq('id', invitation.matrix_id)
+            .maybeSingle();
+
+        if (!matrix) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        // Convite repetido de quem já é membro apenas é descartado
+        const { error } = await supabase
+            .from('matrix_members')
+            .insert([{
+                matrix_id: matrix.id,
+                user_id: userId,
+                role: invitation.role,
+                invited_by: invitation.invited_by,
+                created_at: new Date().toISOString()
+            }]);
+
+        if (error && error.code !== UNIQUE_VIOLATION) {
+            console.error('Accept matrix invitation error:', error);
+            return res.status(500).json({ error: 'Failed to accept invitation' });
+        }
+
+        const { error: deleteError } = await supabase
+            .from('matrix_invitations')
+            .delete()
+            .eq('id', invitation.id);
+
+        if (deleteError) {
+            console.error('Delete matrix invitation error:', deleteError);
+        }
+
+        await invalidateTaskCaches(matrix.user_id, matrix.id);
+
+        console.log(`Matrix invitation accepted: ${userId} joined ${matrix.id} as ${invitation.role} at ${new Date().toISOString()}`);
+
+        res.json({
+            message: 'Invitation accepted',
+            matrix: { ...matrix, role: invitation.role }
+        });
+
+    } catch (error) {
+        console.error('Accept matrix invitation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Recusar convite
+router.post('/invitations/:invitationId/decline', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { data: declined, error } = await supabase
+            .from('matrix_invitations')
+            .delete()
+            .eq('id', req.params.invitationId)
+            .eq('user_id', userId)
+            .select();
+
+        if (error) {
+            console.error('Decline matrix invitation error:', error);
+            return res.status(500).json({ error: 'Failed to decline invitation' });
+        }
+
+        if (declined.length === 0) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        console.log(`Matrix invitation declined: ${declined[0].id} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.json({ message: 'Invitation declined' });
+
+    } catch (error) {
+        console.error('Decline matrix invitation error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Detalhes da matriz com contagem de tarefas
+router.get('/:id', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const matrix = await fetchMatrix(req.params.id, userId);
+        if (!matrix) {
+            return res.status(404).json({ error: 'Matrix not found' });
+        }
+
+        const { data: counts, error } = await countMatrixTasks(matrix.id);
+
+        if (error) {
+            console.error('Count matrix tasks error:', error);
+            return res.status(500).json({ error: 'Failed to fetch matrix' });
+        }
+
+        res.json({ ...matrix, taskCounts: counts });
+
+    } catch (error) {
+        console.error('Get matrix error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Renomear / alterar descrição
+router.put('/:id', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const validation = validateMatrix(req.body, { partial: true });
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        if (Object.keys(validation.value).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update (name, description)' });
+        }
+
+        const existingMatrix = await fetchMatrix(req.params.id, userId);
+        if (!existingMatrix) {
+            return res.status(404).json({ error: 'Matrix not found' });
+        }
+
+        if (!requireOwner(existingMatrix, res)) return;
+
+        if (validation.value.name) {
+            const sameName = await findMatrixByName(validation.value.name, userId);
+            if (sameName && sameName.id !== existingMatrix.id) {
+                return res.status(409).json({ error: 'A matrix with this name already exists' });
+            }
+        }
+
+        const { data: matrix, error } = await supabase
+            .from('matrices')
+            .update({ ...validation.value, updated_at: new Date().toISOString() })
+            .eq('id', existingMatrix.id)
+            .eq('user_id', userId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Update matrix error:', error);
+            return res.status(500).json({ error: 'Failed to update matrix' });
+        }
+
+        res.json({
+            message: 'Matrix updated successfully',
+            matrix
+        });
+
+    } catch (error) {
+        console.error('Update matrix error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Arquivar / desarquivar (as tarefas são mantidas)
+const setArchived = (archived) => async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const existingMatrix = await fetchMatrix(req.params.id, userId);
+        if (!existingMatrix) {
+            return res.status(404).json({ error: 'Matrix not found' });
+        }
+
+        if (!requireOwner(existingMatrix, res)) return;
+
+        if (!!existingMatrix.archived_at === archived) {
+            return res.status(400).json({ error: archived ? 'Matrix is already archived' : 'Matrix is not archived' });
+        }
+
+        const now = new Date().toISOString();
+        const { data: matrix, error } = await supabase
+            .from('matrices')
+            .update({ archived_at: archived ? now : null, updated_at: now })
+            .eq('id', existingMatrix.id)
+            .eq('user_id', userId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Archive matrix error:', error);
+            return res.status(500).json({ error: 'Failed to update matrix' });
+        }
+
+        await invalidateTaskCaches(userId, matrix.id);
+
+        console.log(`Matrix ${archived ? 'archived' : 'unarchived'}: ${matrix.id} by user ${userId} at ${now}`);
+
+        res.json({
+            message: archived ? 'Matrix archived successfully' : 'Matrix unarchived successfully',
+            matrix
+        });
+
+    } catch (error) {
+        console.error('Archive matrix error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+router.post('/:id/archive', setArchived(true));
+router.post('/:id/unarchive', setArchived(false));
+
+// Deletar matriz vazia (com tarefas, use arquivar ou mova as tarefas antes)
+router.delete('/:id', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const existingMatrix = await fetchMatrix(req.params.id, userId);
+        if (!existingMatrix) {
+            return res.status(404).json({ error: 'Matrix not found' });
+        }
+
+        if (!requireOwner(existingMatrix, res)) return;
+
+        // Inclui tarefas na lixeira
+        const { count, error: countError } = await supabase
+            .from('tasks')
+            .select('id', { count: 'exact', head: true })
+            .eq('matrix_id', existingMatrix.id);
+
+        if (countError) {
+            console.error('Count matrix tasks error:', countError);
+            return res.status(500).json({ error: 'Failed to delete matrix' });
+        }
+
+        if (count > 0) {
+            return res.status(409).json({ error: 'Matrix still has tasks; archive it or move its tasks first' });
+        }
+
+        const { error: invitationsError } = await supabase
+            .from('matrix_invitations')
+            .delete()
+            .eq('matrix_id', existingMatrix.id);
+
+        const { error: membersError } = invitationsError
+            ? { error: invitationsError }
+            : await supabase
+                .from('matrix_members')
+                .delete()
+                .eq('matrix_id', existingMatrix.id);
+
+        const { error } = membersError
+            ? { error: membersError }
+            : await supabase
+                .from('matrices')
+                .delete()
+                .eq('id', existingMatrix.id)
+                .eq('user_id', userId);
+
+        if (error) {
+            console.error('Delete matrix error:', error);
+            return res.status(500).json({ error: 'Failed to delete matrix' });
+        }
+
+        console.log(`Matrix deleted: ${existingMatrix.id} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.json({ message: 'Matrix deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete matrix error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Listar membros (dono primeiro)
+router.get('/:id/members', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const matrix = await fetchMatrix(req.params.id, userId);
+        if (!matrix) {
+            return res.status(404).json({ error: 'Matrix not found' });
+        }
+
+        const { data: members, error } = await supabase
+            .from('matrix_members')
+            .select('user_id, role, invited_by, created_at')
+            .eq('matrix_id', matrix.id)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Fetch matrix members error:', error);
+            return res.status(500).json({ error: 'Failed to fetch members' });
+        }
+
+        const { data: profiles, error: profilesError } = await supabase
+            .from('profiles')
+            .select('id, email, full_name')
+            .in('id', [matrix.user_id, ...members.map(member => member.user_id)]);
+
+        if (profilesError) {
+            console.error('Fetch member profiles error:', profilesError);
+            return res.status(500).json({ error: 'Failed to fetch members' });
+        }
+
+        const profileById = Object.fromEntries(profiles.map(profile => [profile.id, profile]));
+        const withProfile = (member) => ({
+            ...member,
+            email: profileById[member.user_id] ? profileById[member.user_id].email : null,
+            full_name: profileById[member.user_id] ? profileById[member.user_id].full_name : null
+        });
+
+        res.json([
+            withProfile({ user_id: matrix.user_id, role: MATRIX_ROLES.OWNER, invited_by: null, created_at: matrix.created_at }),
+            ...members.map(withProfile)
+        ]);
+
+    } catch (error) {
+        console.error('Get matrix members error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Convidar membro por e-mail (o usuário precisa ter conta).
+// Cria um convite pendente: o convidado só vira membro (e aparece na lista) ao aceitar.
+// Mesma resposta exista ou não a conta (não revela quais e-mails estão cadastrados)
+router.post('/:id/members', async (req, res) => {
+    const genericResponse = { message: 'If the email belongs to a registered user, they will receive an invitation to this matrix' };
+
+    try {
+        const userId = req.user.userId;
+        const { email, role = MATRIX_ROLES.EDITOR } = req.body;
+
+        if (typeof email !== 'string' || !email.trim()) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        if (!MEMBER_ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Invalid role (editor, viewer)' });
+        }
+
+        const matrix = await fetchMatrix(req.params.id, userId);
+        if (!matrix) {
+            return res.status(404).json({ error: 'Matrix not found' });
+        }
+
+        if (!requireOwner(matrix, res)) return;
+
+        const { data: profile } = await supabase
+            .from('profiles')
+            .select('id, email, full_name, disabled_at')
+            .eq('email', email.trim().toLowerCase())
+            .single();
+
+        if (!profile || profile.disabled_at) {
+            return res.status(202).json(genericResponse);
+        }
+
+        if (profile.id === matrix.user_id) {
+            return res.status(400).json({ error: 'The owner is already part of the matrix' });
+        }
+
+        const { data: existingMember } = await supabase
+            .from('matrix_members')
+            .select('user_id')
+            .eq('matrix_id', matrix.id)
+            .eq('user_id', profile.id)
+            .maybeSingle();
+
+        if (existingMember) {
+            return res.status(202).json(genericResponse);
+        }
+
+        // Convite já pendente: atualiza o papel sem reenviar o e-mail
+        const { data: pendingInvitation, error: updateError } = await supabase
+            .from('matrix_invitations')
+            .update({ role, invited_by: userId })
+            .eq('matrix_id', matrix.id)
+            .eq('user_id', profile.id)
+            .select()
+            .maybeSingle();
+
+        if (updateError) {
+            console.error('Update matrix invitation error:', updateError);
+            return res.status(500).json({ error: 'Failed to invite member' });
+        }
+
+        if (pendingInvitation) {
+            return res.status(202).json(genericResponse);
+        }
+
+        const { error } = await supabase
+            .from('matrix_invitations')
+            .insert([{
+                matrix_id: matrix.id,
+                user_id: profile.id,
+                role,
+                invited_by: userId,
+                created_at: new Date().toISOString()
+            }]);
+
+        // Convite simultâneo para o mesmo usuário: o outro já foi criado
+        if (error && error.code === UNIQUE_VIOLATION) {
+            return res.status(202).json(genericResponse);
+        }
+
+        if (error) {
+            console.error('Create matrix invitation error:', error);
+            return res.status(500).json({ error: 'Failed to invite member' });
+        }
+
+        const { data: inviter } = await supabase
+            .from('profiles')
+            .select('full_name')
+            .eq('id', userId)
+            .single();
+
+        await sendMail({
+            to: profile.email,
+            ...templates.matrixInvitationEmail({
+                fullName: profile.full_name,
+                inviterName: inviter && inviter.full_name,
+                matrixName: matrix.name,
+                role
+            })
+        });
+
+        console.log(`Matrix invitation created: ${profile.id} to ${matrix.id} as ${role} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.status(202).json(genericResponse);
+
+    } catch (error) {
+        console.error('Add matrix member error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Alterar papel de um membro
+router.put('/:id/members/:userId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { role } = req.body;
+
+        if (!MEMBER_ROLES.includes(role)) {
+            return res.status(400).json({ error: 'Invalid role (editor, viewer)' });
+        }
+
+        const matrix = await fetchMatrix(req.params.id, userId);
+        if (!matrix) {
+            return res.status(404).json({ error: 'Matrix not found' });
+        }
+
+        if (!requireOwner(matrix, res)) return;
+
+        const { data: member, error } = await supabase
+            .from('matrix_members')
+            .update({ role, updated_at: new Date().toISOString() })
+            .eq('matrix_id', matrix.id)
+            .eq('user_id', req.params.userId)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            console.error('Update matrix member error:', error);
+            return res.status(500).json({ error: 'Failed to update member' });
+        }
+
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        console.log(`Matrix member role changed: ${member.user_id} in ${matrix.id} to ${role} by user ${userId}`);
+
+        res.json({
+            message: 'Member updated successfully',
+            member
+        });
+
+    } catch (error) {
+        console.error('Update matrix member error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Remover membro (o dono remove qualquer um; o membro pode sair sozinho).
+// As tarefas atribuídas a ele na matriz ficam sem responsável.
+router.delete('/:id/members/:userId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const memberId = req.params.userId;
+
+        const matrix = await fetchMatrix(req.params.id, userId);
+        if (!matrix) {
+            return res.status(404).json({ error: 'Matrix not found' });
+        }
+
+        if (memberId !== userId && !requireOwner(matrix, res)) return;
+
+        const { data: removed, error } = await supabase
+            .from('matrix_members')
+            .delete()
+            .eq('matrix_id', matrix.id)
+            .eq('user_id', memberId)
+            .select();
+
+        if (error) {
+            console.error('Remove matrix member error:', error);
+            return res.status(500).json({ error: 'Failed to remove member' });
+        }
+
+        if (removed.length === 0) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const { error: unassignError } = await supabase
+            .from('tasks')
+            .update({ assignee_id: null, updated_at: new Date().toISOString() })
+            .eq('matrix_id', matrix.id)
+            .eq('assignee_id', memberId);
+
+        if (unassignError) {
+            console.error('Unassign member tasks error:', unassignError);
+        }
+
+        // O membro já saiu da lista, então o cache dele é limpo à parte
+        await invalidateTaskCaches(matrix.user_id, matrix.id);
+        deleteCache(`tasks_${memberId}`);
+
+        console.log(`Matrix member removed: ${memberId} from ${matrix.id} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.json({ message: 'Member removed successfully' });
+
+    } catch (error) {
+        console.error('Remove matrix member error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { aiLimiter } = require('../utils/rateLimiter');
+const { getCache, setCache } = require('../utils/cache');
+const { generateText, isGeminiAvailable } = require('../utils/gemini');
+const { fetchAllRows } = require('../utils/queryPages');
+const { resolveWeek, buildWeeklyReport, buildNarrativePrompt, renderMarkdown, renderHtml } = require('../utils/weeklyReport');
+const router = express.Router();
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const FORMATS = ['json', 'markdown', 'html'];
+
+// Narrativa usa o Gemini: só nesse caso aplica o limite de IA
+const narrativeLimiter = (req, res, next) => {
+    return req.query.narrative === 'true' ? aiLimiter(req, res, next) : next();
+};
+
+// Narrativa opcional; indisponibilidade do Gemini não impede o relatório
+const addNarrative = async (report, userId) => {
+    const cacheKey = `ai_weekly_${userId}_${report.week.from}_${JSON.stringify(report.summary)}`;
+    const cachedNarrative = getCache(cacheKey);
+    if (cachedNarrative) {
+        return { ...report, narrative: cachedNarrative, narrative_status: 'generated' };
+    }
+
+    if (!isGeminiAvailable()) {
+        return { ...report, narrative_status: 'unavailable' };
+    }
+
+    try {
+        const narrative = (await generateText(buildNarrativePrompt(report))).trim();
+        setCache(cacheKey, narrative, 600); // 10 minutos
+
+        console.log(`AI weekly narrative generated for user ${userId} at ${new Date().toISOString()}`);
+
+        return { ...report, narrative, narrative_status: 'generated' };
+    } catch (error) {
+        console.error('Weekly narrative error:', error);
+        return { ...report, narrative_status: 'failed' };
+    }
+};
+
+// Revisão semanal (?week=YYYY-MM-DD, ?tzOffset, ?format=json|markdown|html, ?narrative=true)
+router.get('/weekly', narrativeLimiter, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const now = new Date();
+
+        const format = req.query.format || 'json';
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Invalid format (${FORMATS.join(', ')})` });
+        }
+
+        const resolved = resolveWeek(req.query, now);
+        if (!resolved.isValid) {
+            return res.status(400).json({ error: resolved.error });
+        }
+
+        const week = resolved.value;
+
+        const start = week.weekStart.toISOString();
+        const end = week.weekEnd.toISOString();
+
+        // Tarefas que existiram na semana: criadas antes do fim e ainda abertas,
+        // concluídas depois do início ou com prazo dentro dela
+        const { data: tasks, error } = await fetchAllRows(() => supabase
+            .from('tasks')
+            .select('id, task_number, title, quadrant, status, created_at, completed_at, due_date')
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .lt('created_at', end)
+            .or(`status.neq.completed,completed_at.gte.${start},and(due_date.gte.${start},due_date.lt.${end})`)
+            .order('id', { ascending: true }));
+
+        if (error) {
+            console.error('Fetch report tasks error:', error);
+            return res.status(500).json({ error: 'Failed to generate report' });
+        }
+
+        const { data: moves, error: movesError } = await fetchAllRows(() => supabase
+            .from('task_quadrant_moves')
+            .select('id, task_id, from_quadrant, to_quadrant, source, created_at')
+            .eq('user_id', userId)
+            .gte('created_at', start)
+            .lt('created_at', end)
+            .order('id', { ascending: true }));
+
+        if (movesError) {
+            console.error('Fetch report moves error:', movesError);
+            return res.status(500).json({ error: 'Failed to generate report' });
+        }
+
+        let report = buildWeeklyReport(tasks, moves, week, now);
+        if (req.query.narrative === 'true') {
+            report = await addNarrative(report, userId);
+        }
+
+        if (format === 'markdown') {
+            return res.type('text/markdown; charset=utf-8').send(renderMarkdown(report));
+        }
+
+        if (format === 'html') {
+            return res.type('html').send(renderHtml(report));
+        }
+
+        res.json(report);
+
+    } catch (error) {
+        console.error('Weekly report error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { MATRIX_ROLES, invalidateTaskCaches } = require('../utils/matrices');
+const { getTaskAccess } = require('../utils/taskAccess');
+const { calculateProgress } = require('../utils/taskUtils');
+const { createNextOccurrence } = require('../utils/taskRecurrence');
+const { CHANGE_SOURCES, recordTaskChange } = require('../utils/taskHistory');
+const { fetchOpenBlockers, notifyUnblocked } = require('../utils/taskDependencies');
+const router = express.Router({ mergeParams: true });
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Concluir a tarefa pai quando todas as subtarefas estiverem feitas (se habilitado)
+const autoCompleteParent = async (task, userId) => {
+    if (!task.auto_complete_subtasks || task.status === 'completed') {
+        return null;
+    }
+
+    const { data: subtasks, error } = await supabase
+        .from('subtasks')
+        .select('completed')
+        .eq('task_id', task.id);
+
+    if (error || subtasks.length === 0 || !subtasks.every(subtask => subtask.completed)) {
+        return null;
+    }
+
+    // Tarefa ainda bloqueada não é concluída automaticamente
+    const { data: blockersByTask, error: blockersError } = await fetchOpenBlockers([task.id]);
+    if (blockersError || blockersByTask[task.id]) {
+        return null;
+    }
+
+    const now = new Date().toISOString();
+    const { data: completedTask, error: updateError } = await supabase
+        .from('tasks')
+        .update({ status: 'completed', completed_at: now, updated_at: now })
+        .eq('id', task.id)
+        .eq('user_id', task.user_id)
+        .select()
+        .single();
+
+    if (updateError) {
+        console.error('Auto-complete task error:', updateError);
+        return null;
+    }
+
+    await recordTaskChange(task, completedTask, { actorId: userId, action: 'completed', source: CHANGE_SOURCES.AUTO_COMPLETE });
+
+    console.log(`Task auto-completed: ${task.id} (all subtasks done) for user ${userId}`);
+
+    // Ocorrência recorrente concluída gera a próxima
+    if (completedTask.recurrence) {
+        await createNextOccurrence(completedTask, task.user_id);
+    }
+
+    await notifyUnblocked(completedTask);
+
+    return completedTask;
+};
+
+// Listar subtarefas
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.VIEWER);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: subtasks, error } = await supabase
+            .from('subtasks')
+            .select('*')
+            .eq('task_id', task.id)
+            .order('position', { ascending: true });
+
+        if (error) {
+            console.error('Fetch subtasks error:', error);
+            return res.status(500).json({ error: 'Failed to fetch subtasks' });
+        }
+
+        res.json({
+            subtasks,
+            progress: calculateProgress(subtasks)
+        });
+
+    } catch (error) {
+        console.error('Get subtasks error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Criar subtarefa (adicionada ao final da lista)
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { title } = req.body;
+
+        if (!title || typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: last } = await supabase
+            .from('subtasks')
+            .select('position')
+            .eq('task_id', task.id)
+            .order('position', { ascending: false })
+            .limit(1);
+
+        const position = last && last.length > 0 ? last[0].position + 1 : 0;
+
+        const { data: subtask, error } = await supabase
+            .from('subtasks')
+            .insert([{
+                task_id: task.id,
+                user_id: task.user_id,
+                title: title.trim().substring(0, 200),
+                completed: false,
+                position,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Create subtask error:', error);
+            return res.status(500).json({ error: 'Failed to create subtask' });
+        }
+
+        // Invalidar cache
+        await invalidateTaskCaches(task.user_id, task.matrix_id);
+
+        res.status(201).json({
+            message: 'Subtask created successfully',
+            subtask
+        });
+
+    } catch (error) {
+        console.error('Create subtask error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reordenar subtarefas
+router.put('/order', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { subtaskIds } = req.body;
+
+        if (!Array.isArray(subtaskIds) || subtaskIds.length === 0) {
+            return res.status(400).json({ error: 'subtaskIds must be a non-empty array' });
+        }
+
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: subtasks, error: fetchError } = await supabase
+            .from('subtasks')
+            .select('id')
+            .eq('task_id', task.id);
+
+        if (fetchError) {
+            console.error('Fetch subtasks error:', fetchError);
+            return res.status(500).json({ error: 'Failed to fetch subtasks' });
+        }
+
+        // A nova ordem deve conter exatamente as subtarefas existentes
+        const existingIds = subtasks.map(subtask => subtask.id).sort();
+        const requestedIds = [...new Set(subtaskIds)].sort();
+        if (requestedIds.length !== subtaskIds.length ||
+            existingIds.length !== requestedIds.length ||
+            existingIds.some((id, index) => id !== requestedIds[index])) {
+            return res.status(400).json({ error: 'subtaskIds must list every subtask of the task exactly once' });
+        }
+
+        for (const [position, subtaskId] of subtaskIds.entries()) {
+            const { error } = await supabase
+                .from('subtasks')
+                .update({ position, updated_at: new Date().toISOString() })
+                .eq('id', subtaskId)
+                .eq('task_id', task.id);
+
+            if (error) {
+                console.error('Reorder subtasks error:', error);
+                return res.status(500).json({ error: 'Failed to reorder subtasks' });
+            }
+        }
+
+        // Invalidar cache
+        await invalidateTaskCaches(task.user_id, task.matrix_id);
+
+        res.json({ message: 'Subtasks reordered successfully' });
+
+    } catch (error) {
+        console.error('Reorder subtasks error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Atualizar subtarefa (título e/ou conclusão)
+router.put('/:subtaskId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { title, completed } = req.body;
+
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const updateData = {};
+
+        if (title !== undefined) {
+            if (typeof title !== 'string' || !title.trim()) {
+                return res.status(400).json({ error: 'Title is required' });
+            }
+            updateData.title = title.trim().substring(0, 200);
+        }
+
+        if (completed !== undefined) {
+            if (typeof completed !== 'boolean') {
+                return res.status(400).json({ error: 'completed must be a boolean' });
+            }
+            updateData.completed = completed;
+            updateData.completed_at = completed ? new Date().toISOString() : null;
+        }
+
+        updateData.updated_at = new Date().toISOString();
+
+        const { data: subtask, error } = await supabase
+            .from('subtasks')
+            .update(updateData)
+            .eq('id', req.params.subtaskId)
+            .eq('task_id', task.id)
+            .select()
+            .single();
+
+        if (error || !subtask) {
+            return res.status(404).json({ error: 'Subtask not found' });
+        }
+
+        const parentTask = completed === true ? await autoCompleteParent(task, userId) : null;
+
+        // Invalidar cache
+        await invalidateTaskCaches(task.user_id, task.matrix_id);
+
+        res.json({
+            message: 'Subtask updated successfully',
+            subtask,
+            ...(parentTask && { task: parentTask, taskAutoCompleted: true })
+        });
+
+    } catch (error) {
+        console.error('Update subtask error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Deletar subtarefa
+router.delete('/:subtaskId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: deleted, error } = await supabase
+            .from('subtasks')
+            .delete()
+            .eq('id', req.params.subtaskId)
+            .eq('task_id', task.id)
+            .select('id');
+
+        if (error) {
+            console.error('Delete subtask error:', error);
+            return res.status(500).json({ error: 'Failed to delete subtask' });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({ error: 'Subtask not found' });
+        }
+
+        // Remover a última pendente também pode completar a tarefa
+        const parentTask = await autoCompleteParent(task, userId);
+
+        // Invalidar cache
+        await invalidateTaskCaches(task.user_id, task.matrix_id);
+
+        res.json({
+            message: 'Subtask deleted successfully',
+            ...(parentTask && { task: parentTask, taskAutoCompleted: true })
+        });
+
+    } catch (error) {
+        console.error('Delete subtask error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
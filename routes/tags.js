@@ -0,0 +1,306 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { deleteCache } = require('../utils/cache');
+const { validateTag, countTasksByTag } = require('../utils/taskTags');
+const { invalidateTaskCaches } = require('../utils/matrices');
+const router = express.Router();
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Tags aparecem na listagem e nas estatísticas de tarefas,
+// inclusive nas matrizes compartilhadas do dono (vistas também pelos membros)
+const invalidateTagCaches = async (userId) => {
+    deleteCache(`task_stats_${userId}`);
+    await invalidateTaskCaches(userId);
+
+    const { data: matrices } = await supabase
+        .from('matrices')
+        .select('id')
+        .eq('user_id', userId);
+
+    for (const matrix of matrices || []) {
+        await invalidateTaskCaches(userId, matrix.id);
+    }
+};
+
+const fetchTag = async (tagId, userId) => {
+    const { data: tag, error } = await supabase
+        .from('tags')
+        .select('*')
+        .eq('id', tagId)
+        .eq('user_id', userId)
+        .single();
+
+    return error ? null : tag;
+};
+
+// Nome de tag é único por usuário (sem diferenciar maiúsculas)
+const findTagByName = async (name, userId) => {
+    const { data: tags } = await supabase
+        .from('tags')
+        .select('id, name')
+        .eq('user_id', userId)
+        .ilike('name', name.replace(/[%_\\]/g, '\\$&'));
+
+    return tags && tags.length > 0 ? tags[0] : null;
+};
+
+// Listar tags com contagem de tarefas
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { data: tags, error } = await supabase
+            .from('tags')
+            .select('*')
+            .eq('user_id', userId)
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Fetch tags error:', error);
+            return res.status(500).json({ error: 'Failed to fetch tags' });
+        }
+
+        const { data: counts, error: countError } = await countTasksByTag(userId);
+
+        if (countError) {
+            console.error('Count tag tasks error:', countError);
+            return res.status(500).json({ error: 'Failed to fetch tags' });
+        }
+
+        res.json(tags.map(tag => ({
+            ...tag,
+            taskCount: counts[tag.id] ? counts[tag.id].total : 0
+        })));
+
+    } catch (error) {
+        console.error('Get tags error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Criar tag
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const validation = validateTag(req.body);
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        if (await findTagByName(validation.value.name, userId)) {
+            return res.status(409).json({ error: 'Tag already exists' });
+        }
+
+        const { data: tag, error } = await supabase
+            .from('tags')
+            .insert([{
+                user_id: userId,
+                ...validation.value,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Create tag error:', error);
+            return res.status(500).json({ error: 'Failed to create tag' });
+        }
+
+        console.log(`Tag created: ${tag.id} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.status(201).json({
+            message: 'Tag created successfully',
+            tag
+        });
+
+    } catch (error) {
+        console.error('Create tag error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Renomear tag e/ou alterar cor
+router.put('/:id', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const validation = validateTag(req.body, { partial: true });
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        if (Object.keys(validation.value).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update (name, color)' });
+        }
+
+        const existingTag = await fetchTag(req.params.id, userId);
+        if (!existingTag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+
+        if (validation.value.name) {
+            const sameName = await findTagByName(validation.value.name, userId);
+            if (sameName && sameName.id !== existingTag.id) {
+                return res.status(409).json({ error: 'Tag already exists' });
+            }
+        }
+
+        const { data: tag, error } = await supabase
+            .from('tags')
+            .update({ ...validation.value, updated_at: new Date().toISOString() })
+            .eq('id', existingTag.id)
+            .eq('user_id', userId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Update tag error:', error);
+            return res.status(500).json({ error: 'Failed to update tag' });
+        }
+
+        await invalidateTagCaches(userId);
+
+        res.json({
+            message: 'Tag updated successfully',
+            tag
+        });
+
+    } catch (error) {
+        console.error('Update tag error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Mesclar tag em outra: as tarefas passam para a tag de destino e a de origem é removida
+router.post('/:id/merge', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { targetTagId } = req.body;
+
+        if (!targetTagId || targetTagId === req.params.id) {
+            return res.status(400).json({ error: 'targetTagId must be a different tag' });
+        }
+
+        const sourceTag = await fetchTag(req.params.id, userId);
+        const targetTag = await fetchTag(targetTagId, userId);
+
+        if (!sourceTag || !targetTag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+
+        const { data: links, error: fetchError } = await supabase
+            .from('task_tags')
+            .select('task_id')
+            .eq('tag_id', sourceTag.id)
+            .eq('user_id', userId);
+
+        if (fetchError) {
+            console.error('Fetch tag links error:', fetchError);
+            return res.status(500).json({ error: 'Failed to merge tags' });
+        }
+
+        if (links.length > 0) {
+            const { error: upsertError } = await supabase
+                .from('task_tags')
+                .upsert(
+                    links.map(link => ({
+                        task_id: link.task_id,
+                        tag_id: targetTag.id,
+                        user_id: userId,
+                        created_at: new Date().toISOString()
+                    })),
+                    { onConflict: 'task_id,tag_id', ignoreDuplicates: true }
+                );
+
+            if (upsertError) {
+                console.error('Merge tag links error:', upsertError);
+                return res.status(500).json({ error: 'Failed to merge tags' });
+            }
+        }
+
+        const { error: unlinkError } = await supabase
+            .from('task_tags')
+            .delete()
+            .eq('tag_id', sourceTag.id)
+            .eq('user_id', userId);
+
+        const { error: deleteError } = unlinkError
+            ? { error: unlinkError }
+            : await supabase
+                .from('tags')
+                .delete()
+                .eq('id', sourceTag.id)
+                .eq('user_id', userId);
+
+        if (deleteError) {
+            console.error('Delete merged tag error:', deleteError);
+            return res.status(500).json({ error: 'Failed to merge tags' });
+        }
+
+        await invalidateTagCaches(userId);
+
+        console.log(`Tag merged: ${sourceTag.id} into ${targetTag.id} (${links.length} tasks) by user ${userId}`);
+
+        res.json({
+            message: 'Tags merged successfully',
+            tag: targetTag,
+            movedTasks: links.length
+        });
+
+    } catch (error) {
+        console.error('Merge tags error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Deletar tag (as tarefas são mantidas)
+router.delete('/:id', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const existingTag = await fetchTag(req.params.id, userId);
+        if (!existingTag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+
+        const { error: unlinkError } = await supabase
+            .from('task_tags')
+            .delete()
+            .eq('tag_id', existingTag.id)
+            .eq('user_id', userId);
+
+        if (unlinkError) {
+            console.error('Unlink tag error:', unlinkError);
+            return res.status(500).json({ error: 'Failed to delete tag' });
+        }
+
+        const { error } = await supabase
+            .from('tags')
+            .delete()
+            .eq('id', existingTag.id)
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error('Delete tag error:', error);
+            return res.status(500).json({ error: 'Failed to delete tag' });
+        }
+
+        await invalidateTagCaches(userId);
+
+        console.log(`Tag deleted: ${existingTag.id} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.json({ message: 'Tag deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete tag error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
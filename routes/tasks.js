@@ -1,8 +1,30 @@
 const express = require('express');
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
-const { validateTask } = require('../utils/validation');
-const { taskLimiter } = require('../utils/rateLimiter');
+const { validateTask, MAX_ESTIMATE_MINUTES } = require('../utils/validation');
+const { taskLimiter, weightedTaskLimit } = require('../utils/rateLimiter');
 const { getCache, setCache, deleteCache } = require('../utils/cache');
+const { attachSubtasks, calculateTaskStats, calculateTimeStats } = require('../utils/taskUtils');
+const { validateRecurrence } = require('../utils/recurrence');
+const { buildRecurrenceTemplate, createNextOccurrence, updateFutureOccurrences } = require('../utils/taskRecurrence');
+const { MOVE_SOURCES, moveTaskToQuadrant } = require('../utils/taskMoves');
+const { resolveTagIds, fetchTagsForTasks, findTaskIdsByTags, countTasksByTag, addTaskTags, removeTaskTags, setTaskTags } = require('../utils/taskTags');
+const { recordTaskChange, listTaskHistory, getTaskVersion, buildRevertUpdate } = require('../utils/taskHistory');
+const { getBulkWeight, validateBulkOperations, executeBulkOperations } = require('../utils/taskBulk');
+const { MATRIX_ROLES, fetchMatrix, resolveMatrix, invalidateTaskCaches, validateAssignee, getNextTaskNumber } = require('../utils/matrices');
+const { getTaskAccess } = require('../utils/taskAccess');
+const { parseTaskQuery, applyTaskFilters, sortTasks, paginate, taskQueryCacheKey } = require('../utils/taskQuery');
+const { trashPurger, purgeTasks } = require('../utils/trashPurger');
+const { countCommentsForTasks } = require('../utils/taskComments');
+const { fetchOpenBlockers, attachBlockedState, notifyUnblocked } = require('../utils/taskDependencies');
+const { getTopPosition, resolvePosition } = require('../utils/taskPositions');
+const { sumTrackedSeconds } = require('../utils/timeTracking');
+const { parseAnalyticsQuery, calculateAnalytics } = require('../utils/taskAnalytics');
+const { fetchAllRows } = require('../utils/queryPages');
+const subtaskRoutes = require('./subtasks');
+const commentRoutes = require('./comments');
+const dependencyRoutes = require('./dependencies');
+const timeEntryRoutes = require('./timeEntries');
 const router = express.Router();
 
 // Configuração Supabase
@@ -11,42 +33,184 @@ const supabase = createClient(
     process.env.SUPABASE_ANON_KEY
 );
 
+// Máximo de variações de consulta em cache por usuário
+const MAX_CACHED_QUERIES = 20;
+
+// Incluir as tags e o estado de bloqueio na tarefa retornada
+const withTags = async (task, userId) => {
+    const { data: tagsByTask } = await fetchTagsForTasks([task.id], userId);
+    const { data: blockersByTask } = await fetchOpenBlockers([task.id]);
+    const blockers = (blockersByTask && blockersByTask[task.id]) || [];
+
+    return {
+        ...task,
+        tags: (tagsByTask && tagsByTask[task.id]) || [],
+        blocked: blockers.length > 0,
+        blocked_by: blockers.map(blocker => blocker.id)
+    };
+};
+
+// Invalidar a listagem de cada dono/matriz alcançado por um lote
+const invalidateBulkCaches = async (userId, touched = []) => {
+    const targets = new Map([[`${userId}:`, { ownerId: userId, matrixId: null }]]);
+    touched.forEach(task => {
+        targets.set(`${task.user_id}:${task.matrix_id || ''}`, { ownerId: task.user_id, matrixId: task.matrix_id });
+    });
+
+    for (const { ownerId, matrixId } of targets.values()) {
+        await invalidateTaskCaches(ownerId, matrixId);
+    }
+};
+
 // Rate limiting específico para tarefas
 router.use(taskLimiter);
 
-// Buscar todas as tarefas do usuário
+// Subtarefas / checklist
+router.use('/:id/subtasks', subtaskRoutes);
+
+// Comentários e menções
+router.use('/:id/comments', commentRoutes);
+
+// Dependências ("bloqueada por")
+router.use('/:id/dependencies', dependencyRoutes);
+
+// Controle de tempo (cronômetro e lançamentos manuais)
+router.use('/:id/time', timeEntryRoutes);
+
+// Buscar tarefas do usuário com filtros, busca, ordenação e paginação por quadrante
 router.get('/', async (req, res) => {
     try {
         const userId = req.user.userId;
+
+        const parsedQuery = parseTaskQuery(req.query);
+        if (!parsedQuery.isValid) {
+            return res.status(400).json({ error: parsedQuery.error });
+        }
+
+        const taskQuery = parsedQuery.value;
+
+        // Todas as variações de consulta ficam sob tasks_${userId},
+        // assim a invalidação existente continua limpando tudo de uma vez
         const cacheKey = `tasks_${userId}`;
+        const queryKey = taskQueryCacheKey(taskQuery);
+        const cachedQueries = getCache(cacheKey) || {};
+        if (cachedQueries[queryKey]) {
+            return res.json(cachedQueries[queryKey]);
+        }
 
-        // Verificar cache
-        const cachedTasks = getCache(cacheKey);
-        if (cachedTasks) {
-            return res.json(cachedTasks);
+        // Cada matriz tem seus quadrantes; sem matrixId lista a matriz padrão
+        const { data: matrix, error: matrixError } = await resolveMatrix(taskQuery.filters.matrixId, userId, {
+            allowArchived: true,
+            minRole: MATRIX_ROLES.VIEWER
+        });
+        if (matrixError) {
+            return res.status(matrixError.status).json({ error: matrixError.message });
         }
 
-        const { data: tasks, error } = await supabase
+        // Resolver filtro de tags em ids de tarefas
+        let taggedTaskIds = null;
+        if (taskQuery.filters.tags) {
+            const { data: taskIds, error: tagError } = await findTaskIdsByTags(taskQuery.filters.tags, matrix.ownerId);
+
+            if (tagError) {
+                console.error('Fetch tagged tasks error:', tagError);
+                return res.status(500).json({ error: 'Failed to fetch tasks' });
+            }
+            taggedTaskIds = taskIds;
+        }
+
+        // Matriz compartilhada: todas as tarefas dela; matriz padrão: apenas as do usuário
+        const baseQuery = supabase
             .from('tasks')
             .select('*')
-            .eq('user_id', userId)
-            .order('created_at', { ascending: false });
+            .is('deleted_at', null);
+
+        const { data: tasks, error } = await applyTaskFilters(
+            matrix.id ? baseQuery.eq('matrix_id', matrix.id) : baseQuery.eq('user_id', userId).is('matrix_id', null),
+            taskQuery.filters,
+            new Date(),
+            taggedTaskIds
+        );
 
         if (error) {
             console.error('Fetch tasks error:', error);
             return res.status(500).json({ error: 'Failed to fetch tasks' });
         }
 
+        // Buscar subtarefas das tarefas retornadas em uma única consulta
+        const { data: subtasks, error: subtasksError } = tasks.length > 0
+            ? await supabase
+                .from('subtasks')
+                .select('*')
+                .in('task_id', tasks.map(task => task.id))
+            : { data: [], error: null };
+
+        if (subtasksError) {
+            console.error('Fetch subtasks error:', subtasksError);
+            return res.status(500).json({ error: 'Failed to fetch tasks' });
+        }
+
+        const { data: tagsByTask, error: tagsError } = await fetchTagsForTasks(tasks.map(task => task.id), matrix.ownerId);
+
+        if (tagsError) {
+            console.error('Fetch task tags error:', tagsError);
+            return res.status(500).json({ error: 'Failed to fetch tasks' });
+        }
+
+        const { data: commentCounts, error: commentsError } = await countCommentsForTasks(tasks.map(task => task.id));
+
+        if (commentsError) {
+            console.error('Count task comments error:', commentsError);
+            return res.status(500).json({ error: 'Failed to fetch tasks' });
+        }
+
+        const { data: blockersByTask, error: blockersError } = await fetchOpenBlockers(tasks.map(task => task.id));
+
+        if (blockersError) {
+            console.error('Fetch task blockers error:', blockersError);
+            return res.status(500).json({ error: 'Failed to fetch tasks' });
+        }
+
+        const tasksWithProgress = sortTasks(
+            attachSubtasks(tasks, subtasks).map(task => ({
+                ...task,
+                tags: tagsByTask[task.id] || [],
+                comment_count: commentCounts[task.id] || 0,
+                blocked: !!blockersByTask[task.id],
+                blocked_by: (blockersByTask[task.id] || []).map(blocker => blocker.id)
+            })),
+            taskQuery.sort,
+            taskQuery.order
+        );
+
         // Organizar por quadrantes
-        const tasksByQuadrant = {
-            1: tasks.filter(task => task.quadrant === 1),
-            2: tasks.filter(task => task.quadrant === 2),
-            3: tasks.filter(task => task.quadrant === 3),
-            4: tasks.filter(task => task.quadrant === 4)
-        };
+        const tasksByQuadrant = {};
+        const pagination = {};
 
-        // Armazenar em cache
-        setCache(cacheKey, tasksByQuadrant);
+        [1, 2, 3, 4].forEach(quadrant => {
+            const quadrantTasks = tasksWithProgress.filter(task => task.quadrant === quadrant);
+
+            if (!taskQuery.limit) {
+                tasksByQuadrant[quadrant] = quadrantTasks;
+                return;
+            }
+
+            const page = paginate(quadrantTasks, quadrant, taskQuery);
+            tasksByQuadrant[quadrant] = page.items;
+            pagination[quadrant] = page.pageInfo;
+        });
+
+        if (taskQuery.limit) {
+            tasksByQuadrant.pagination = pagination;
+        }
+
+        // Armazenar em cache (limitado às consultas mais recentes)
+        const queryKeys = Object.keys(cachedQueries);
+        if (queryKeys.length >= MAX_CACHED_QUERIES) {
+            delete cachedQueries[queryKeys[0]];
+        }
+        cachedQueries[queryKey] = tasksByQuadrant;
+        setCache(cacheKey, cachedQueries);
 
         res.json(tasksByQuadrant);
 
@@ -60,42 +224,94 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
     try {
         const userId = req.user.userId;
-        const { title, quadrant, description, priority, dueDate } = req.body;
+        const { title, quadrant, description, priority, dueDate, autoCompleteSubtasks, recurrence, escalationOptOut, tagIds, assigneeId, estimateMinutes, matrixId: requestedMatrixId } = req.body;
 
         // Validações
-        const validation = validateTask({ title, quadrant, description, priority, dueDate });
+        const validation = validateTask({ title, quadrant, description, priority, dueDate, recurrence, estimateMinutes });
         if (!validation.isValid) {
             return res.status(400).json({ error: validation.error });
         }
 
+        let recurrenceRule = null;
+        if (recurrence) {
+            const recurrenceValidation = validateRecurrence(recurrence, dueDate || new Date());
+            if (!recurrenceValidation.isValid) {
+                return res.status(400).json({ error: recurrenceValidation.error });
+            }
+            recurrenceRule = recurrenceValidation.value;
+        }
+
+        // Em matriz compartilhada a tarefa pertence ao dono da matriz
+        const { data: matrix, error: matrixError } = await resolveMatrix(requestedMatrixId, userId);
+        if (matrixError) {
+            return res.status(matrixError.status).json({ error: matrixError.message });
+        }
+
+        const ownerId = matrix.ownerId;
+
+        const { data: assignee, error: assigneeError } = await validateAssignee(assigneeId, matrix);
+        if (assigneeError) {
+            return res.status(assigneeError.status).json({ error: assigneeError.message });
+        }
+
+        let resolvedTagIds = [];
+        if (tagIds !== undefined) {
+            const { data: validTagIds, error: tagError } = await resolveTagIds(tagIds, ownerId);
+            if (tagError) {
+                return res.status(tagError.status).json({ error: tagError.message });
+            }
+            resolvedTagIds = validTagIds;
+        }
+
         // Sanitizar dados
         const sanitizedTitle = title.trim().substring(0, 200);
         const sanitizedDescription = description ? description.trim().substring(0, 1000) : null;
 
         // Obter próximo número da tarefa para o quadrante
-        const { data: nextNumber, error: numberError } = await supabase
-            .rpc('get_next_task_number', { 
-                user_id: userId, 
-                quadrant_num: quadrant 
-            });
+        const { data: nextNumber, error: numberError } = await getNextTaskNumber({ userId: ownerId, quadrant, matrixId: matrix.id });
 
         if (numberError) {
             console.error('Get next task number error:', numberError);
             return res.status(500).json({ error: 'Failed to generate task number' });
         }
 
+        // Tarefas novas entram no topo do quadrante
+        const { data: position, error: positionError } = await getTopPosition({ userId: ownerId, matrixId: matrix.id, quadrant });
+
+        if (positionError) {
+            console.error('Get top position error:', positionError);
+            return res.status(500).json({ error: 'Failed to calculate position' });
+        }
+
         // Criar tarefa
         const { data: newTask, error } = await supabase
             .from('tasks')
             .insert([{
-                user_id: userId,
+                user_id: ownerId,
                 title: sanitizedTitle,
                 description: sanitizedDescription,
                 quadrant: quadrant,
+                matrix_id: matrix.id,
+                assignee_id: assignee,
                 task_number: nextNumber,
+                position,
                 priority: priority || 'medium',
+                estimate_minutes: estimateMinutes ?? null,
                 due_date: dueDate ? new Date(dueDate).toISOString() : null,
                 status: 'pending',
+                auto_complete_subtasks: autoCompleteSubtasks === true,
+                escalation_opt_out: escalationOptOut === true,
+                recurrence: recurrenceRule && {
+                    ...recurrenceRule,
+                    template: buildRecurrenceTemplate({
+                        title: sanitizedTitle,
+                        description: sanitizedDescription,
+                        priority: priority || 'medium',
+                        quadrant
+                    })
+                },
+                series_id: recurrenceRule ? crypto.randomUUID() : null,
+                occurrence_index: recurrenceRule ? 1 : null,
                 created_at: new Date().toISOString()
             }])
             .select()
@@ -106,15 +322,18 @@ router.post('/', async (req, res) => {
             return res.status(500).json({ error: 'Failed to create task' });
         }
 
+        await recordTaskChange(null, newTask, { actorId: userId, action: 'created' });
+        await addTaskTags(newTask.id, ownerId, resolvedTagIds);
+
         // Invalidar cache
-        deleteCache(`tasks_${userId}`);
+        await invalidateTaskCaches(ownerId, matrix.id);
 
         // Log de auditoria
         console.log(`Task created: ${newTask.id} by user ${userId} at ${new Date().toISOString()}`);
 
         res.status(201).json({
             message: 'Task created successfully',
-            task: newTask
+            task: await withTags(newTask, ownerId)
         });
 
     } catch (error) {
@@ -123,25 +342,72 @@ router.post('/', async (req, res) => {
     }
 });
 
+// Operações em lote: create/update/move/complete/delete
+router.post('/bulk', weightedTaskLimit(req => getBulkWeight(req.body.operations)), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        // Validar todas as operações antes de executar
+        const validation = validateBulkOperations(req.body.operations);
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: validation.error,
+                ...(validation.results && { results: validation.results })
+            });
+        }
+
+        const { data, error } = await executeBulkOperations(validation.value, userId);
+
+        if (error) {
+            // Reverter pode ter alterado tarefas mesmo em caso de falha
+            await invalidateBulkCaches(userId, error.touched);
+            return res.status(error.status).json({
+                error: error.message,
+                ...(error.results && { results: error.results }),
+                ...(error.rolledBack && { rolledBack: true })
+            });
+        }
+
+        // Invalidar cache uma única vez para o lote inteiro
+        await invalidateBulkCaches(userId, data.touched);
+
+        // Log de auditoria
+        console.log(`Bulk task operations: ${data.results.length} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.json({
+            message: 'Bulk operations completed successfully',
+            results: data.results,
+            ...(data.nextOccurrences.length > 0 && { nextOccurrences: data.nextOccurrences })
+        });
+
+    } catch (error) {
+        console.error('Bulk tasks error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Atualizar tarefa
 router.put('/:id', async (req, res) => {
     try {
         const userId = req.user.userId;
         const taskId = req.params.id;
-        const { title, description, priority, dueDate, status } = req.body;
+        const { title, description, priority, dueDate, status, autoCompleteSubtasks, escalationOptOut, tagIds, addTagIds, removeTagIds, assigneeId, estimateMinutes, force, scope = 'this' } = req.body;
 
-        // Validar se a tarefa pertence ao usuário
-        const { data: existingTask, error: fetchError } = await supabase
-            .from('tasks')
-            .select('*')
-            .eq('id', taskId)
-            .eq('user_id', userId)
-            .single();
+        // Em tarefas recorrentes: "this" altera só esta ocorrência, "future" também as próximas
+        if (!['this', 'future'].includes(scope)) {
+            return res.status(400).json({ error: 'Invalid scope (this, future)' });
+        }
+
+        // Validar acesso à tarefa (dono ou membro da matriz com o papel exigido)
+        const { data: access, error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.EDITOR);
 
-        if (fetchError || !existingTask) {
-            return res.status(404).json({ error: 'Task not found' });
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
         }
 
+        const existingTask = access.task;
+        const ownerId = existingTask.user_id;
+
         // Validar dados
         const updateData = {};
         
@@ -163,8 +429,20 @@ router.put('/:id', async (req, res) => {
             updateData.priority = priority;
         }
 
+        if (estimateMinutes !== undefined) {
+            if (estimateMinutes !== null &&
+                (!Number.isInteger(estimateMinutes) || estimateMinutes < 1 || estimateMinutes > MAX_ESTIMATE_MINUTES)) {
+                return res.status(400).json({ error: `estimateMinutes must be an integer between 1 and ${MAX_ESTIMATE_MINUTES}` });
+            }
+            updateData.estimate_minutes = estimateMinutes;
+        }
+
         if (dueDate !== undefined) {
             updateData.due_date = dueDate ? new Date(dueDate).toISOString() : null;
+
+            // Novo prazo: reavaliar escalonamento e atraso
+            updateData.escalated_at = null;
+            updateData.overdue_at = null;
         }
 
         if (status !== undefined) {
@@ -179,6 +457,83 @@ router.put('/:id', async (req, res) => {
             }
         }
 
+        // Concluir com bloqueadores abertos exige force: true (e volta com aviso)
+        const warnings = [];
+        if (status === 'completed' && existingTask.status !== 'completed') {
+            const { data: blockersByTask, error: blockersError } = await fetchOpenBlockers([taskId]);
+
+            if (blockersError) {
+                console.error('Fetch task blockers error:', blockersError);
+                return res.status(500).json({ error: 'Failed to update task' });
+            }
+
+            const openBlockers = blockersByTask[taskId] || [];
+            if (openBlockers.length > 0) {
+                if (force !== true) {
+                    return res.status(409).json({
+                        error: 'Task is blocked by open tasks; send force: true to complete it anyway',
+                        blockers: openBlockers
+                    });
+                }
+                warnings.push(`Completed while blocked by ${openBlockers.length} open task(s)`);
+            }
+        }
+
+        if (escalationOptOut !== undefined) {
+            if (typeof escalationOptOut !== 'boolean') {
+                return res.status(400).json({ error: 'escalationOptOut must be a boolean' });
+            }
+            updateData.escalation_opt_out = escalationOptOut;
+        }
+
+        if (autoCompleteSubtasks !== undefined) {
+            if (typeof autoCompleteSubtasks !== 'boolean') {
+                return res.status(400).json({ error: 'autoCompleteSubtasks must be a boolean' });
+            }
+            updateData.auto_complete_subtasks = autoCompleteSubtasks;
+        }
+
+        if (assigneeId !== undefined) {
+            const { data: assignee, error: assigneeError } = await validateAssignee(assigneeId, {
+                id: existingTask.matrix_id,
+                ownerId
+            });
+            if (assigneeError) {
+                return res.status(assigneeError.status).json({ error: assigneeError.message });
+            }
+            updateData.assignee_id = assignee;
+        }
+
+        // Tags: tagIds substitui o conjunto; addTagIds/removeTagIds alteram parcialmente
+        const tagChanges = {};
+        for (const [field, value] of Object.entries({ tagIds, addTagIds, removeTagIds })) {
+            if (value === undefined) continue;
+
+            const { data: validTagIds, error: tagError } = await resolveTagIds(value, ownerId);
+            if (tagError) {
+                return res.status(tagError.status).json({ error: tagError.message });
+            }
+            tagChanges[field] = validTagIds;
+        }
+
+        // Propagar alterações para o modelo da série
+        const propagateToSeries = scope === 'future' && existingTask.recurrence;
+        if (propagateToSeries) {
+            const template = { ...(existingTask.recurrence.template || buildRecurrenceTemplate(existingTask)) };
+            ['title', 'description', 'priority'].forEach(field => {
+                if (updateData[field] !== undefined) {
+                    template[field] = updateData[field];
+                }
+            });
+
+            updateData.recurrence = { ...existingTask.recurrence, template };
+
+            // Nova data passa a ser a âncora da série
+            if (updateData.due_date) {
+                updateData.recurrence.startDate = updateData.due_date;
+            }
+        }
+
         updateData.updated_at = new Date().toISOString();
 
         // Atualizar tarefa
@@ -186,7 +541,7 @@ router.put('/:id', async (req, res) => {
             .from('tasks')
             .update(updateData)
             .eq('id', taskId)
-            .eq('user_id', userId)
+            .eq('user_id', ownerId)
             .select()
             .single();
 
@@ -195,15 +550,38 @@ router.put('/:id', async (req, res) => {
             return res.status(500).json({ error: 'Failed to update task' });
         }
 
+        await recordTaskChange(existingTask, updatedTask, { actorId: userId, action: 'updated' });
+
+        if (tagChanges.tagIds) await setTaskTags(taskId, ownerId, tagChanges.tagIds);
+        if (tagChanges.addTagIds) await addTaskTags(taskId, ownerId, tagChanges.addTagIds);
+        if (tagChanges.removeTagIds) await removeTaskTags(taskId, ownerId, tagChanges.removeTagIds);
+
+        if (propagateToSeries) {
+            await updateFutureOccurrences(updatedTask, updateData.recurrence, ownerId);
+        }
+
+        // Concluir uma ocorrência gera a próxima; dependentes podem ficar desbloqueadas
+        let nextTask = null;
+        let unblockedTaskIds = [];
+        if (status === 'completed' && existingTask.status !== 'completed') {
+            if (updatedTask.recurrence) {
+                nextTask = await createNextOccurrence(updatedTask, ownerId);
+            }
+            unblockedTaskIds = await notifyUnblocked(updatedTask);
+        }
+
         // Invalidar cache
-        deleteCache(`tasks_${userId}`);
+        await invalidateTaskCaches(ownerId, existingTask.matrix_id);
 
         // Log de auditoria
         console.log(`Task updated: ${taskId} by user ${userId} at ${new Date().toISOString()}`);
 
         res.json({
             message: 'Task updated successfully',
-            task: updatedTask
+            task: await withTags(updatedTask, ownerId),
+            ...(nextTask && { nextOccurrence: nextTask }),
+            ...(unblockedTaskIds.length > 0 && { unblockedTasks: unblockedTaskIds }),
+            ...(warnings.length > 0 && { warnings })
         });
 
     } catch (error) {
@@ -212,126 +590,149 @@ router.put('/:id', async (req, res) => {
     }
 });
 
-// Deletar tarefa
-router.delete('/:id', async (req, res) => {
+// Listar tarefas na lixeira
+router.get('/trash', async (req, res) => {
     try {
         const userId = req.user.userId;
-        const taskId = req.params.id;
 
-        // Validar se a tarefa pertence ao usuário
-        const { data: existingTask, error: fetchError } = await supabase
+        const { data: tasks, error } = await supabase
             .from('tasks')
-            .select('id')
-            .eq('id', taskId)
+            .select('*')
             .eq('user_id', userId)
-            .single();
+            .not('deleted_at', 'is', null)
+            .order('deleted_at', { ascending: false });
 
-        if (fetchError || !existingTask) {
-            return res.status(404).json({ error: 'Task not found' });
+        if (error) {
+            console.error('Fetch trash error:', error);
+            return res.status(500).json({ error: 'Failed to fetch trash' });
         }
 
-        // Deletar tarefa
-        const { error } = await supabase
+        res.json({
+            retentionDays: trashPurger.retentionDays,
+            tasks: tasks.map(task => ({ ...task, purgeAt: trashPurger.getPurgeDate(task.deleted_at) }))
+        });
+
+    } catch (error) {
+        console.error('Get trash error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Esvaziar a lixeira
+router.delete('/trash', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { data: trashed, error: fetchError } = await supabase
             .from('tasks')
-            .delete()
-            .eq('id', taskId)
-            .eq('user_id', userId);
+            .select('id')
+            .eq('user_id', userId)
+            .not('deleted_at', 'is', null);
 
-        if (error) {
-            console.error('Delete task error:', error);
-            return res.status(500).json({ error: 'Failed to delete task' });
+        if (fetchError) {
+            console.error('Fetch trash error:', fetchError);
+            return res.status(500).json({ error: 'Failed to empty trash' });
         }
 
-        // Invalidar cache
-        deleteCache(`tasks_${userId}`);
+        const { data: purged, error } = await purgeTasks(trashed.map(task => task.id));
+
+        if (error) {
+            return res.status(500).json({ error: 'Failed to empty trash' });
+        }
 
         // Log de auditoria
-        console.log(`Task deleted: ${taskId} by user ${userId} at ${new Date().toISOString()}`);
+        console.log(`Trash emptied: ${purged} tasks purged by user ${userId} at ${new Date().toISOString()}`);
 
-        res.json({ message: 'Task deleted successfully' });
+        res.json({ message: 'Trash emptied successfully', purged });
 
     } catch (error) {
-        console.error('Delete task error:', error);
+        console.error('Empty trash error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Buscar estatísticas das tarefas
-router.get('/stats', async (req, res) => {
+// Remover definitivamente uma tarefa da lixeira
+router.delete('/trash/:id', async (req, res) => {
     try {
         const userId = req.user.userId;
-        const cacheKey = `task_stats_${userId}`;
-
-        // Verificar cache
-        const cachedStats = getCache(cacheKey);
-        if (cachedStats) {
-            return res.json(cachedStats);
-        }
+        const taskId = req.params.id;
 
-        const { data: stats, error } = await supabase
-            .from('task_stats')
-            .select('*')
+        const { data: trashedTask, error: fetchError } = await supabase
+            .from('tasks')
+            .select('id')
+            .eq('id', taskId)
             .eq('user_id', userId)
+            .not('deleted_at', 'is', null)
             .single();
 
+        if (fetchError || !trashedTask) {
+            return res.status(404).json({ error: 'Task not found in trash' });
+        }
+
+        const { error } = await purgeTasks([trashedTask.id]);
+
         if (error) {
-            console.error('Fetch stats error:', error);
-            return res.status(500).json({ error: 'Failed to fetch statistics' });
+            return res.status(500).json({ error: 'Failed to purge task' });
         }
 
-        // Armazenar em cache
-        setCache(cacheKey, stats, 60000); // Cache por 1 minuto
+        // Log de auditoria
+        console.log(`Task purged: ${taskId} by user ${userId} at ${new Date().toISOString()}`);
 
-        res.json(stats);
+        res.json({ message: 'Task permanently deleted' });
 
     } catch (error) {
-        console.error('Get stats error:', error);
+        console.error('Purge task error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Mover tarefa entre quadrantes
-router.patch('/:id/move', async (req, res) => {
+// Restaurar tarefa da lixeira no quadrante original
+router.post('/:id/restore', async (req, res) => {
     try {
         const userId = req.user.userId;
         const taskId = req.params.id;
-        const { quadrant } = req.body;
-
-        // Validar quadrante
-        if (!quadrant || ![1, 2, 3, 4].includes(quadrant)) {
-            return res.status(400).json({ error: 'Invalid quadrant (1-4)' });
-        }
 
-        // Validar se a tarefa pertence ao usuário
-        const { data: existingTask, error: fetchError } = await supabase
+        const { data: trashedTask, error: fetchError } = await supabase
             .from('tasks')
             .select('*')
             .eq('id', taskId)
             .eq('user_id', userId)
+            .not('deleted_at', 'is', null)
             .single();
 
-        if (fetchError || !existingTask) {
-            return res.status(404).json({ error: 'Task not found' });
+        if (fetchError || !trashedTask) {
+            return res.status(404).json({ error: 'Task not found in trash' });
         }
 
-        // Obter novo número da tarefa
-        const { data: nextNumber, error: numberError } = await supabase
-            .rpc('get_next_task_number', { 
-                user_id: userId, 
-                quadrant_num: quadrant 
-            });
+        // O número pode ter sido reutilizado enquanto a tarefa estava na lixeira
+        const { data: nextNumber, error: numberError } = await getNextTaskNumber({
+            userId,
+            quadrant: trashedTask.quadrant,
+            matrixId: trashedTask.matrix_id
+        });
 
         if (numberError) {
             console.error('Get next task number error:', numberError);
             return res.status(500).json({ error: 'Failed to generate task number' });
         }
 
-        // Mover tarefa
-        const { data: movedTask, error } = await supabase
+        const { data: position, error: positionError } = await getTopPosition({
+            userId,
+            matrixId: trashedTask.matrix_id,
+            quadrant: trashedTask.quadrant
+        });
+
+        if (positionError) {
+            console.error('Get top position error:', positionError);
+            return res.status(500).json({ error: 'Failed to calculate position' });
+        }
+
+        const { data: restoredTask, error } = await supabase
             .from('tasks')
             .update({
-                quadrant: quadrant,
+                deleted_at: null,
                 task_number: nextNumber,
+                position,
                 updated_at: new Date().toISOString()
             })
             .eq('id', taskId)
@@ -340,25 +741,801 @@ router.patch('/:id/move', async (req, res) => {
             .single();
 
         if (error) {
-            console.error('Move task error:', error);
-            return res.status(500).json({ error: 'Failed to move task' });
+            console.error('Restore task error:', error);
+            return res.status(500).json({ error: 'Failed to restore task' });
         }
 
+        await recordTaskChange(trashedTask, restoredTask, { actorId: userId, action: 'restored' });
+
         // Invalidar cache
-        deleteCache(`tasks_${userId}`);
+        await invalidateTaskCaches(userId, restoredTask.matrix_id);
+        deleteCache(`task_stats_${userId}`);
 
         // Log de auditoria
-        console.log(`Task moved: ${taskId} from Q${existingTask.quadrant} to Q${quadrant} by user ${userId}`);
+        console.log(`Task restored: ${taskId} to Q${restoredTask.quadrant} by user ${userId} at ${new Date().toISOString()}`);
 
         res.json({
-            message: 'Task moved successfully',
-            task: movedTask
+            message: 'Task restored successfully',
+            task: restoredTask
         });
 
     } catch (error) {
-        console.error('Move task error:', error);
+        console.error('Restore task error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Deletar tarefa (move para a lixeira)
+router.delete('/:id', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const taskId = req.params.id;
+
+        // Validar acesso à tarefa (dono ou membro da matriz com o papel exigido)
+        const { data: access, error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const existingTask = access.task;
+        const ownerId = existingTask.user_id;
+
+        // Mover para a lixeira (removida definitivamente após o período de retenção)
+        const now = new Date().toISOString();
+        const { data: trashedTask, error } = await supabase
+            .from('tasks')
+            .update({ deleted_at: now, updated_at: now })
+            .eq('id', taskId)
+            .eq('user_id', ownerId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Delete task error:', error);
+            return res.status(500).json({ error: 'Failed to delete task' });
+        }
+
+        await recordTaskChange(existingTask, trashedTask, { actorId: userId, action: 'trashed' });
+
+        // Invalidar cache
+        await invalidateTaskCaches(ownerId, existingTask.matrix_id);
+        deleteCache(`task_stats_${ownerId}`);
+
+        // Log de auditoria
+        console.log(`Task moved to trash: ${taskId} by user ${userId} at ${now}`);
+
+        res.json({ message: 'Task moved to trash', purgeAt: trashPurger.getPurgeDate(now) });
+
+    } catch (error) {
+        console.error('Delete task error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Buscar estatísticas das tarefas
+router.get('/stats', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const cacheKey = `task_stats_${userId}`;
+
+        // Verificar cache
+        const cachedStats = getCache(cacheKey);
+        if (cachedStats) {
+            return res.json(cachedStats);
+        }
+
+        // Calculado a partir das tarefas ativas (a view task_stats inclui a lixeira)
+        const { data: tasks, error } = await supabase
+            .from('tasks')
+            .select('id, quadrant, status, due_date, estimate_minutes')
+            .eq('user_id', userId)
+            .is('deleted_at', null);
+
+        if (error) {
+            console.error('Fetch stats error:', error);
+            return res.status(500).json({ error: 'Failed to fetch statistics' });
+        }
+
+        // Tempo registrado (todos os colaboradores) para comparar com a estimativa
+        const { data: trackedSeconds, error: timeError } = await sumTrackedSeconds(tasks.map(task => task.id));
+
+        if (timeError) {
+            console.error('Fetch time stats error:', timeError);
+            return res.status(500).json({ error: 'Failed to fetch statistics' });
+        }
+
+        // Contagem por tag
+        const { data: tags, error: tagsError } = await supabase
+            .from('tags')
+            .select('id, name, color')
+            .eq('user_id', userId)
+            .order('name', { ascending: true });
+
+        const { data: tagCounts, error: countError } = tagsError ? { data: null } : await countTasksByTag(userId);
+
+        if (tagsError || countError) {
+            console.error('Fetch tag stats error:', tagsError || countError);
+            return res.status(500).json({ error: 'Failed to fetch statistics' });
+        }
+
+        const stats = {
+            user_id: userId,
+            ...calculateTaskStats(tasks),
+            time: calculateTimeStats(tasks, trackedSeconds),
+            tags: tags.map(tag => ({
+                ...tag,
+                total_tasks: tagCounts[tag.id] ? tagCounts[tag.id].total : 0,
+                completed_tasks: tagCounts[tag.id] ? tagCounts[tag.id].completed : 0
+            }))
+        };
+
+        // Armazenar em cache
+        setCache(cacheKey, stats, 60); // Cache por 1 minuto
+
+        res.json(stats);
+
+    } catch (error) {
+        console.error('Get stats error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Análise de produtividade no intervalo (?from, ?to, ?granularity=day|week|month, ?tzOffset)
+router.get('/analytics', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const now = new Date();
+
+        const parsed = parseAnalyticsQuery(req.query, now);
+        if (!parsed.isValid) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const range = parsed.value;
+
+        const start = range.rangeStart.toISOString();
+        const end = range.rangeEnd.toISOString();
+
+        // Tarefas que existiram no intervalo: criadas antes do fim e ainda abertas,
+        // concluídas depois do início ou com prazo dentro dele
+        const { data: tasks, error } = await fetchAllRows(() => supabase
+            .from('tasks')
+            .select('id, quadrant, status, created_at, completed_at, due_date')
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .lt('created_at', end)
+            .or(`status.neq.completed,completed_at.gte.${start},and(due_date.gte.${start},due_date.lt.${end})`)
+            .order('id', { ascending: true }));
+
+        if (error) {
+            console.error('Fetch analytics tasks error:', error);
+            return res.status(500).json({ error: 'Failed to fetch analytics' });
+        }
+
+        // Sequências consideram o histórico inteiro, mas só precisam das datas de conclusão
+        const { data: completions, error: completionsError } = await fetchAllRows(() => supabase
+            .from('tasks')
+            .select('status, completed_at')
+            .eq('user_id', userId)
+            .is('deleted_at', null)
+            .eq('status', 'completed')
+            .not('completed_at', 'is', null)
+            .order('completed_at', { ascending: true })
+            .order('id', { ascending: true }));
+
+        if (completionsError) {
+            console.error('Fetch analytics completions error:', completionsError);
+            return res.status(500).json({ error: 'Failed to fetch analytics' });
+        }
+
+        const { data: moves, error: movesError } = await fetchAllRows(() => supabase
+            .from('task_quadrant_moves')
+            .select('id, task_id, from_quadrant, to_quadrant, source, created_at')
+            .eq('user_id', userId)
+            .gte('created_at', start)
+            .lt('created_at', end)
+            .order('id', { ascending: true }));
+
+        if (movesError) {
+            console.error('Fetch analytics moves error:', movesError);
+            return res.status(500).json({ error: 'Failed to fetch analytics' });
+        }
+
+        res.json(calculateAnalytics({ tasks, moves, completions }, range, now));
+
+    } catch (error) {
+        console.error('Get analytics error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Tarefas atribuídas ao usuário em todas as matrizes que ele acessa
+router.get('/assigned', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const { data: tasks, error } = await supabase
+            .from('tasks')
+            .select('*')
+            .eq('assignee_id', userId)
+            .is('deleted_at', null)
+            .order('due_date', { ascending: true, nullsFirst: false });
+
+        if (error) {
+            console.error('Fetch assigned tasks error:', error);
+            return res.status(500).json({ error: 'Failed to fetch tasks' });
+        }
+
+        // Ignorar tarefas de matrizes das quais o usuário já saiu
+        const matrices = {};
+        for (const matrixId of new Set(tasks.map(task => task.matrix_id).filter(Boolean))) {
+            const matrix = await fetchMatrix(matrixId, userId);
+            if (matrix) {
+                matrices[matrixId] = { id: matrix.id, name: matrix.name, role: matrix.role };
+            }
+        }
+
+        const { data: visibleTasks, error: blockedError } = await attachBlockedState(tasks
+            .filter(task => task.matrix_id ? matrices[task.matrix_id] : task.user_id === userId)
+            .map(task => ({ ...task, matrix: task.matrix_id ? matrices[task.matrix_id] : null })));
+
+        if (blockedError) {
+            console.error('Fetch task blockers error:', blockedError);
+            return res.status(500).json({ error: 'Failed to fetch tasks' });
+        }
+
+        // Organizar por quadrantes
+        const tasksByQuadrant = {};
+        [1, 2, 3, 4].forEach(quadrant => {
+            tasksByQuadrant[quadrant] = visibleTasks.filter(task => task.quadrant === quadrant);
+        });
+
+        res.json(tasksByQuadrant);
+
+    } catch (error) {
+        console.error('Get assigned tasks error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Mover tarefa entre quadrantes
+router.patch('/:id/move', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const taskId = req.params.id;
+        const { quadrant, scope = 'this', reason, position } = req.body;
+
+        // Validar quadrante
+        if (!quadrant || ![1, 2, 3, 4].includes(quadrant)) {
+            return res.status(400).json({ error: 'Invalid quadrant (1-4)' });
+        }
+
+        // Posição opcional no quadrante de destino (0 = topo; padrão: topo)
+        if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+            return res.status(400).json({ error: 'position must be a non-negative integer' });
+        }
+
+        if (!['this', 'future'].includes(scope)) {
+            return res.status(400).json({ error: 'Invalid scope (this, future)' });
+        }
+
+        // Validar acesso à tarefa (dono ou membro da matriz com o papel exigido)
+        const { data: access, error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const existingTask = access.task;
+        const ownerId = existingTask.user_id;
+
+        // Próximas ocorrências da série também nascem no novo quadrante
+        const moveData = {};
+        const propagateToSeries = scope === 'future' && existingTask.recurrence;
+        if (propagateToSeries) {
+            moveData.recurrence = {
+                ...existingTask.recurrence,
+                template: {
+                    ...(existingTask.recurrence.template || buildRecurrenceTemplate(existingTask)),
+                    quadrant
+                }
+            };
+        }
+
+        if (position !== undefined) {
+            const { data: rank, error: positionError } = await resolvePosition(
+                { userId: ownerId, matrixId: existingTask.matrix_id, quadrant },
+                taskId,
+                { index: position }
+            );
+
+            if (positionError) {
+                return res.status(positionError.status).json({ error: positionError.message });
+            }
+            moveData.position = rank;
+        }
+
+        // Mover tarefa
+        const { data: movedTask, error } = await moveTaskToQuadrant(existingTask, quadrant, {
+            userId: ownerId,
+            actorId: userId,
+            source: MOVE_SOURCES.USER,
+            reason: typeof reason === 'string' ? reason.trim().substring(0, 200) : null,
+            extraUpdate: moveData
+        });
+
+        if (error) {
+            return res.status(500).json({ error: error.message });
+        }
+
+        if (propagateToSeries) {
+            await updateFutureOccurrences(movedTask, moveData.recurrence, ownerId);
+        }
+
+        // Invalidar cache
+        await invalidateTaskCaches(ownerId, existingTask.matrix_id);
+
+        // Log de auditoria
+        console.log(`Task moved: ${taskId} from Q${existingTask.quadrant} to Q${quadrant} by user ${userId}`);
+
+        res.json({
+            message: 'Task moved successfully',
+            task: movedTask
+        });
+
+    } catch (error) {
+        console.error('Move task error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reordenar dentro do quadrante: antes ou depois de outra tarefa.
+// Só a tarefa movida é gravada (o número da tarefa não muda).
+router.patch('/:id/reorder', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const taskId = req.params.id;
+        const { beforeTaskId, afterTaskId } = req.body;
+
+        if (!beforeTaskId === !afterTaskId) {
+            return res.status(400).json({ error: 'Provide exactly one of beforeTaskId or afterTaskId' });
+        }
+
+        const referenceId = beforeTaskId || afterTaskId;
+        if (typeof referenceId !== 'string' || referenceId === taskId) {
+            return res.status(400).json({ error: 'Reference task must be another task' });
+        }
+
+        // Validar acesso à tarefa (dono ou membro da matriz com o papel exigido)
+        const { data: access, error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const existingTask = access.task;
+        const ownerId = existingTask.user_id;
+
+        const { data: position, error: positionError } = await resolvePosition(
+            { userId: ownerId, matrixId: existingTask.matrix_id, quadrant: existingTask.quadrant },
+            taskId,
+            { beforeTaskId, afterTaskId }
+        );
+
+        if (positionError) {
+            return res.status(positionError.status).json({ error: positionError.message });
+        }
+
+        const { data: reorderedTask, error } = await supabase
+            .from('tasks')
+            .update({ position, updated_at: new Date().toISOString() })
+            .eq('id', taskId)
+            .eq('user_id', ownerId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Reorder task error:', error);
+            return res.status(500).json({ error: 'Failed to reorder task' });
+        }
+
+        // Invalidar cache
+        await invalidateTaskCaches(ownerId, existingTask.matrix_id);
+
+        res.json({
+            message: 'Task reordered successfully',
+            task: reorderedTask
+        });
+
+    } catch (error) {
+        console.error('Reorder task error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Mover tarefa para outra matriz (opcionalmente para outro quadrante)
+router.patch('/:id/matrix', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const taskId = req.params.id;
+        const { matrixId: requestedMatrixId, quadrant } = req.body;
+
+        if (requestedMatrixId === undefined) {
+            return res.status(400).json({ error: 'matrixId is required (use "default" for the default matrix)' });
+        }
+
+        if (quadrant !== undefined && ![1, 2, 3, 4].includes(quadrant)) {
+            return res.status(400).json({ error: 'Invalid quadrant (1-4)' });
+        }
+
+        // Validar acesso à tarefa (dono ou membro da matriz com o papel exigido)
+        const { data: access, error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const existingTask = access.task;
+        const ownerId = existingTask.user_id;
+
+        // Também exige papel de editor na matriz de destino
+        const { data: matrix, error: matrixError } = await resolveMatrix(requestedMatrixId, userId);
+        if (matrixError) {
+            return res.status(matrixError.status).json({ error: matrixError.message });
+        }
+
+        const matrixId = matrix.id;
+        const targetQuadrant = quadrant || existingTask.quadrant;
+
+        if ((existingTask.matrix_id || null) === matrixId && targetQuadrant === existingTask.quadrant) {
+            return res.status(400).json({ error: 'Task is already in this matrix' });
+        }
+
+        // A tarefa continua com o mesmo dono (subtarefas, tags e histórico ficam com ele)
+        if (matrix.ownerId !== ownerId) {
+            return res.status(409).json({ error: 'Tasks can only be moved between matrices of the same owner' });
+        }
+
+        // Responsável que não participa da matriz de destino deixa de ser responsável
+        const { error: assigneeError } = await validateAssignee(existingTask.assignee_id, matrix);
+        const matrixUpdate = {
+            matrix_id: matrixId,
+            ...(assigneeError && { assignee_id: null })
+        };
+
+        let movedTask;
+        if (targetQuadrant !== existingTask.quadrant) {
+            const { data, error } = await moveTaskToQuadrant(existingTask, targetQuadrant, {
+                userId: ownerId,
+                actorId: userId,
+                source: MOVE_SOURCES.USER,
+                reason: 'Moved to another matrix',
+                extraUpdate: matrixUpdate
+            });
+
+            if (error) {
+                return res.status(500).json({ error: error.message });
+            }
+            movedTask = data;
+        } else {
+            // Mesmo quadrante: novo número na sequência da matriz de destino
+            const { data: nextNumber, error: numberError } = await getNextTaskNumber({ userId: ownerId, quadrant: targetQuadrant, matrixId });
+
+            if (numberError) {
+                console.error('Get next task number error:', numberError);
+                return res.status(500).json({ error: 'Failed to generate task number' });
+            }
+
+            const { data: position, error: positionError } = await getTopPosition({ userId: ownerId, matrixId, quadrant: targetQuadrant });
+
+            if (positionError) {
+                console.error('Get top position error:', positionError);
+                return res.status(500).json({ error: 'Failed to calculate position' });
+            }
+
+            const { data, error } = await supabase
+                .from('tasks')
+                .update({
+                    ...matrixUpdate,
+                    task_number: nextNumber,
+                    position,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', taskId)
+                .eq('user_id', ownerId)
+                .select()
+                .single();
+
+            if (error) {
+                console.error('Move task to matrix error:', error);
+                return res.status(500).json({ error: 'Failed to move task' });
+            }
+            movedTask = data;
+
+            await recordTaskChange(existingTask, movedTask, { actorId: userId, action: 'moved' });
+        }
+
+        // Invalidar cache (matriz de origem e de destino)
+        await invalidateTaskCaches(ownerId, existingTask.matrix_id);
+        await invalidateTaskCaches(ownerId, matrixId);
+
+        // Log de auditoria
+        console.log(`Task moved to matrix: ${taskId} to ${matrixId || 'default'} by user ${userId}`);
+
+        res.json({
+            message: 'Task moved successfully',
+            task: movedTask
+        });
+
+    } catch (error) {
+        console.error('Move task to matrix error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Histórico de movimentações entre quadrantes (manuais e automáticas)
+router.get('/:id/moves', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const taskId = req.params.id;
+
+        const { error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.VIEWER);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { data: moves, error } = await supabase
+            .from('task_quadrant_moves')
+            .select('*')
+            .eq('task_id', taskId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Fetch task moves error:', error);
+            return res.status(500).json({ error: 'Failed to fetch task moves' });
+        }
+
+        res.json(moves);
+
+    } catch (error) {
+        console.error('Get task moves error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Histórico de alterações da tarefa (uma versão por alteração)
+router.get('/:id/history', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const taskId = req.params.id;
+
+        // Validar acesso à tarefa (dono ou membro da matriz com o papel exigido)
+        const { data: access, error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.VIEWER);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const existingTask = access.task;
+        const ownerId = existingTask.user_id;
+
+        const { data: history, error } = await listTaskHistory(taskId, ownerId, { limit: req.query.limit });
+
+        if (error) {
+            console.error('Fetch task history error:', error);
+            return res.status(500).json({ error: 'Failed to fetch task history' });
+        }
+
+        res.json(history);
+
+    } catch (error) {
+        console.error('Get task history error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Reverter a tarefa para o estado de uma versão anterior
+router.post('/:id/revert/:versionId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id: taskId, versionId } = req.params;
+
+        // Validar acesso à tarefa (dono ou membro da matriz com o papel exigido)
+        const { data: access, error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const existingTask = access.task;
+        const ownerId = existingTask.user_id;
+
+        const { data: version, error: versionError } = await getTaskVersion(taskId, ownerId, versionId);
+
+        if (versionError || !version) {
+            return res.status(404).json({ error: 'Version not found' });
+        }
+
+        const { quadrant, ...revertData } = buildRevertUpdate(existingTask, version.snapshot);
+
+        if (quadrant === undefined && Object.keys(revertData).length === 0) {
+            return res.json({
+                message: 'Task already matches this version',
+                task: existingTask
+            });
+        }
+
+        let revertedTask;
+        if (quadrant !== undefined) {
+            // Mudança de quadrante segue o fluxo normal de movimentação (novo número + registro)
+            const { data: movedTask, error } = await moveTaskToQuadrant(existingTask, quadrant, {
+                userId: ownerId,
+                actorId: userId,
+                source: MOVE_SOURCES.USER,
+                reason: `Reverted to version ${versionId}`,
+                extraUpdate: revertData,
+                recordHistory: false
+            });
+
+            if (error) {
+                return res.status(500).json({ error: error.message });
+            }
+            revertedTask = movedTask;
+        } else {
+            const { data: updatedTask, error } = await supabase
+                .from('tasks')
+                .update({ ...revertData, updated_at: new Date().toISOString() })
+                .eq('id', taskId)
+                .eq('user_id', ownerId)
+                .select()
+                .single();
+
+            if (error) {
+                console.error('Revert task error:', error);
+                return res.status(500).json({ error: 'Failed to revert task' });
+            }
+            revertedTask = updatedTask;
+        }
+
+        await recordTaskChange(existingTask, revertedTask, {
+            actorId: userId,
+            action: 'reverted',
+            details: { versionId }
+        });
+
+        // Invalidar cache
+        await invalidateTaskCaches(ownerId, existingTask.matrix_id);
+
+        // Log de auditoria
+        console.log(`Task reverted: ${taskId} to version ${versionId} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.json({
+            message: 'Task reverted successfully',
+            task: revertedTask
+        });
+
+    } catch (error) {
+        console.error('Revert task error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Definir ou alterar a regra de recorrência (vale desta ocorrência em diante)
+router.put('/:id/recurrence', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const taskId = req.params.id;
+        const { recurrence } = req.body;
+
+        // Validar acesso à tarefa (dono ou membro da matriz com o papel exigido)
+        const { data: access, error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const existingTask = access.task;
+        const ownerId = existingTask.user_id;
+
+        const validation = validateRecurrence(recurrence, existingTask.due_date || new Date());
+        if (!validation.isValid) {
+            return res.status(400).json({ error: validation.error });
+        }
+
+        const recurrenceRule = {
+            ...validation.value,
+            template: buildRecurrenceTemplate(existingTask)
+        };
+
+        const { data: updatedTask, error } = await supabase
+            .from('tasks')
+            .update({
+                recurrence: recurrenceRule,
+                series_id: existingTask.series_id || crypto.randomUUID(),
+                occurrence_index: existingTask.occurrence_index || 1,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', taskId)
+            .eq('user_id', ownerId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Update recurrence error:', error);
+            return res.status(500).json({ error: 'Failed to update recurrence' });
+        }
+
+        await recordTaskChange(existingTask, updatedTask, { actorId: userId, action: 'recurrence_updated' });
+        await updateFutureOccurrences(updatedTask, recurrenceRule, ownerId);
+
+        // Invalidar cache
+        await invalidateTaskCaches(ownerId, existingTask.matrix_id);
+
+        console.log(`Task recurrence updated: ${taskId} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.json({
+            message: 'Recurrence updated successfully',
+            task: updatedTask
+        });
+
+    } catch (error) {
+        console.error('Update recurrence error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Encerrar recorrência (esta ocorrência permanece, as futuras deixam de ser geradas)
+router.delete('/:id/recurrence', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const taskId = req.params.id;
+
+        // Validar acesso à tarefa (dono ou membro da matriz com o papel exigido)
+        const { data: access, error: accessError } = await getTaskAccess(taskId, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const existingTask = access.task;
+        const ownerId = existingTask.user_id;
+
+        if (!existingTask.recurrence) {
+            return res.status(400).json({ error: 'Task is not recurring' });
+        }
+
+        const { data: updatedTask, error } = await supabase
+            .from('tasks')
+            .update({ recurrence: null, updated_at: new Date().toISOString() })
+            .eq('id', taskId)
+            .eq('user_id', ownerId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Remove recurrence error:', error);
+            return res.status(500).json({ error: 'Failed to remove recurrence' });
+        }
+
+        await recordTaskChange(existingTask, updatedTask, { actorId: userId, action: 'recurrence_removed' });
+        await updateFutureOccurrences(existingTask, null, ownerId);
+
+        // Invalidar cache
+        await invalidateTaskCaches(ownerId, existingTask.matrix_id);
+
+        console.log(`Task recurrence removed: ${taskId} by user ${userId} at ${new Date().toISOString()}`);
+
+        res.json({
+            message: 'Recurrence removed successfully',
+            task: updatedTask
+        });
+
+    } catch (error) {
+        console.error('Remove recurrence error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
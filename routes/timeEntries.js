@@ -0,0 +1,278 @@
+const express = require('express');
+const { createClient } = require('@supabase/supabase-js');
+const { MATRIX_ROLES } = require('../utils/matrices');
+const { getTaskAccess } = require('../utils/taskAccess');
+const { deleteCache } = require('../utils/cache');
+const { MAX_ENTRY_MINUTES, entrySeconds, findRunningTimer, stopTimer } = require('../utils/timeTracking');
+const router = express.Router({ mergeParams: true });
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Código do Postgres para violação de restrição única
+const UNIQUE_VIOLATION = '23505';
+
+// Tempo registrado aparece nas estatísticas do dono da tarefa
+const invalidateTimeCaches = (task) => deleteCache(`task_stats_${task.user_id}`);
+
+// Listar registros de tempo com totais e estimativa
+router.get('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.VIEWER);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: entries, error } = await supabase
+            .from('time_entries')
+            .select('*')
+            .eq('task_id', task.id)
+            .order('started_at', { ascending: false });
+
+        if (error) {
+            console.error('Fetch time entries error:', error);
+            return res.status(500).json({ error: 'Failed to fetch time entries' });
+        }
+
+        const now = new Date();
+        const trackedSeconds = entries.reduce((total, entry) => total + entrySeconds(entry, now), 0);
+
+        res.json({
+            entries,
+            totals: {
+                tracked_seconds: trackedSeconds,
+                tracked_minutes: Math.round(trackedSeconds / 60),
+                estimate_minutes: task.estimate_minutes ?? null,
+                running: entries.some(entry => !entry.ended_at)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get time entries error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Iniciar cronômetro (um por usuário; o outro precisa ser parado antes).
+// A verificação prévia só dá uma resposta melhor: quem garante a regra é o índice único parcial
+// time_entries(user_id) WHERE ended_at IS NULL, que recusa inícios simultâneos.
+router.post('/start', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: running, error: runningError } = await findRunningTimer(userId);
+
+        if (runningError) {
+            console.error('Fetch running timer error:', runningError);
+            return res.status(500).json({ error: 'Failed to start timer' });
+        }
+
+        if (running) {
+            return res.status(409).json({
+                error: running.task_id === task.id
+                    ? 'Timer is already running for this task'
+                    : 'Another timer is already running; stop it first',
+                entry: running
+            });
+        }
+
+        const now = new Date().toISOString();
+        const { data: entry, error } = await supabase
+            .from('time_entries')
+            .insert([{
+                task_id: task.id,
+                user_id: userId,
+                source: 'timer',
+                started_at: now,
+                ended_at: null,
+                duration_seconds: null,
+                note: typeof req.body.note === 'string' ? req.body.note.trim().substring(0, 200) : null,
+                created_at: now
+            }])
+            .select()
+            .single();
+
+        if (error && error.code === UNIQUE_VIOLATION) {
+            return res.status(409).json({ error: 'Another timer is already running; stop it first' });
+        }
+
+        if (error) {
+            console.error('Start timer error:', error);
+            return res.status(500).json({ error: 'Failed to start timer' });
+        }
+
+        console.log(`Timer started: ${entry.id} on task ${task.id} by user ${userId} at ${now}`);
+
+        res.status(201).json({
+            message: 'Timer started',
+            entry
+        });
+
+    } catch (error) {
+        console.error('Start timer error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Parar o cronômetro do usuário nesta tarefa
+router.post('/stop', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.VIEWER);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: running, error: runningError } = await findRunningTimer(userId);
+
+        if (runningError) {
+            console.error('Fetch running timer error:', runningError);
+            return res.status(500).json({ error: 'Failed to stop timer' });
+        }
+
+        if (!running || running.task_id !== task.id) {
+            return res.status(404).json({ error: 'No running timer for this task' });
+        }
+
+        const { data: entry, error } = await stopTimer(running);
+
+        if (error || !entry) {
+            console.error('Stop timer error:', error);
+            return res.status(500).json({ error: 'Failed to stop timer' });
+        }
+
+        invalidateTimeCaches(task);
+
+        console.log(`Timer stopped: ${entry.id} on task ${task.id} (${entry.duration_seconds}s) by user ${userId}`);
+
+        res.json({
+            message: 'Timer stopped',
+            entry
+        });
+
+    } catch (error) {
+        console.error('Stop timer error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Lançamento manual: { minutes, startedAt?, note? }
+router.post('/', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { minutes, startedAt, note } = req.body;
+
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ENTRY_MINUTES) {
+            return res.status(400).json({ error: `minutes must be an integer between 1 and ${MAX_ENTRY_MINUTES}` });
+        }
+
+        const end = new Date();
+        const start = startedAt !== undefined ? new Date(startedAt) : new Date(end.getTime() - minutes * 60 * 1000);
+
+        if (isNaN(start.getTime())) {
+            return res.status(400).json({ error: 'startedAt must be a valid date' });
+        }
+
+        const endedAt = new Date(start.getTime() + minutes * 60 * 1000);
+        if (endedAt > end) {
+            return res.status(400).json({ error: 'Time entries cannot end in the future' });
+        }
+
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.EDITOR);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: entry, error } = await supabase
+            .from('time_entries')
+            .insert([{
+                task_id: task.id,
+                user_id: userId,
+                source: 'manual',
+                started_at: start.toISOString(),
+                ended_at: endedAt.toISOString(),
+                duration_seconds: minutes * 60,
+                note: typeof note === 'string' ? note.trim().substring(0, 200) : null,
+                created_at: end.toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Create time entry error:', error);
+            return res.status(500).json({ error: 'Failed to create time entry' });
+        }
+
+        invalidateTimeCaches(task);
+
+        res.status(201).json({
+            message: 'Time entry created successfully',
+            entry
+        });
+
+    } catch (error) {
+        console.error('Create time entry error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Deletar registro de tempo (apenas quem registrou)
+router.delete('/:entryId', async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { data: access, error: accessError } = await getTaskAccess(req.params.id, userId, MATRIX_ROLES.VIEWER);
+
+        if (accessError) {
+            return res.status(accessError.status).json({ error: accessError.message });
+        }
+
+        const { task } = access;
+
+        const { data: deleted, error } = await supabase
+            .from('time_entries')
+            .delete()
+            .eq('id', req.params.entryId)
+            .eq('task_id', task.id)
+            .eq('user_id', userId)
+            .select('id');
+
+        if (error) {
+            console.error('Delete time entry error:', error);
+            return res.status(500).json({ error: 'Failed to delete time entry' });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({ error: 'Time entry not found' });
+        }
+
+        invalidateTimeCaches(task);
+
+        res.json({ message: 'Time entry deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete time entry error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
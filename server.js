@@ -8,8 +8,22 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
 const aiRoutes = require('./routes/ai');
+const adminRoutes = require('./routes/admin');
+const tagRoutes = require('./routes/tags');
+const matrixRoutes = require('./routes/matrices');
+const focusRoutes = require('./routes/focus');
+const reportRoutes = require('./routes/reports');
 const { authenticateToken } = require('./middleware/auth.js');
 const { generalLimiter } = require('./utils/rateLimiter');
+const { escalationScheduler } = require('./utils/escalationScheduler');
+const { trashPurger } = require('./utils/trashPurger');
+
+// Access e refresh tokens exigem segredos distintos
+if (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET ||
+    process.env.JWT_REFRESH_SECRET === process.env.JWT_SECRET) {
+    console.error('JWT_SECRET and a distinct JWT_REFRESH_SECRET are required');
+    process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,7 +46,7 @@ app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
     credentials: true,
     optionsSuccessStatus: 200,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -68,7 +82,12 @@ app.use('/api/auth', authRoutes);
 
 // Rotas protegidas
 app.use('/api/tasks', authenticateToken, taskRoutes);
+app.use('/api/tags', authenticateToken, tagRoutes);
+app.use('/api/matrices', authenticateToken, matrixRoutes);
+app.use('/api/focus', authenticateToken, focusRoutes);
+app.use('/api/reports', authenticateToken, reportRoutes);
 app.use('/api/ai', authenticateToken, aiRoutes);
+app.use('/api/admin', authenticateToken, adminRoutes);
 
 // Middleware de tratamento de erros
 app.use((err, req, res, next) => {
@@ -101,6 +120,8 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGINT', () => {
     console.log('Received SIGINT. Graceful shutdown...');
+    escalationScheduler.stop();
+    trashPurger.stop();
     server.close(() => {
         console.log('Process terminated');
         process.exit(0);
@@ -109,6 +130,8 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
     console.log('Received SIGTERM. Graceful shutdown...');
+    escalationScheduler.stop();
+    trashPurger.stop();
     server.close(() => {
         console.log('Process terminated');
         process.exit(0);
@@ -122,6 +145,12 @@ const server = app.listen(PORT, () => {
     console.log(`🔒 Security: Helmet enabled`);
     console.log(`⚡ Rate limiting: Active`);
     console.log(`🎯 Health check: /health`);
+
+    if (process.env.ESCALATION_ENABLED !== 'false') {
+        escalationScheduler.start();
+    }
+
+    trashPurger.start();
 });
 
 module.exports = app;
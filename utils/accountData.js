@@ -0,0 +1,251 @@
+const { createClient } = require('@supabase/supabase-js');
+const { purgeTasks } = require('./trashPurger');
+const { fetchAllRows } = require('./queryPages');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Tabelas com dados do usuário, na ordem segura de exclusão (dependentes primeiro).
+// `exported: false` marca dados internos que são apagados mas não exportados.
+// `orderBy` dá a ordenação estável da exportação paginada nas tabelas sem `id`.
+// Registros de outros usuários nas tarefas/matrizes do dono são removidos antes, por task_id/matrix_id.
+const USER_DATA_TABLES = [
+    { table: 'task_analysis', column: 'user_id' },
+    { table: 'subtasks', column: 'user_id' },
+    { table: 'task_quadrant_moves', column: 'user_id' },
+    { table: 'task_history', column: 'user_id' },
+    { table: 'task_tags', column: 'user_id', orderBy: ['task_id', 'tag_id'] },
+    { table: 'task_comments', column: 'user_id' },
+    { table: 'task_dependencies', column: 'user_id', orderBy: ['task_id', 'blocked_by_task_id'] },
+    { table: 'time_entries', column: 'user_id' },
+    { table: 'focus_sessions', column: 'user_id' },
+    { table: 'focus_settings', column: 'user_id', orderBy: ['user_id'] },
+    { table: 'tasks', column: 'user_id' },
+    { table: 'tags', column: 'user_id' },
+    { table: 'matrix_invitations', column: 'user_id' },
+    { table: 'matrix_members', column: 'user_id', orderBy: ['matrix_id'] },
+    { table: 'matrices', column: 'user_id' },
+    { table: 'auth_tokens', column: 'user_id', exported: false },
+    { table: 'user_two_factor', column: 'user_id', exported: false },
+    { table: 'user_sessions', column: 'user_id', exported: false }
+];
+
+// Exportar todos os dados do usuário
+const exportUserData = async (userId) => {
+    const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('id', userId)
+        .single();
+
+    if (profileError || !profile) {
+        return { data: null, error: profileError || { message: 'User not found' } };
+    }
+
+    const exported = {
+        exportedAt: new Date().toISOString(),
+        profile
+    };
+
+    for (const { table, column, orderBy = ['id'], exported: include = true } of USER_DATA_TABLES) {
+        if (!include) continue;
+
+        const { data: rows, error } = await fetchAllRows(() => orderBy.reduce(
+            (query, field) => query.order(field, { ascending: true }),
+            supabase.from(table).select('*').eq(column, userId)
+        ));
+
+        if (error) {
+            return { data: null, error };
+        }
+
+        exported[table] = rows;
+    }
+
+    return { data: exported, error: null };
+};
+
+const PURGE_BATCH_SIZE = 500;
+
+// Apagar as tarefas do usuário (inclusive lixeira) com tudo o que outros usuários registraram nelas
+const purgeOwnedTasks = async (userId) => {
+    for (;;) {
+        const { data: tasks, error } = await supabase
+            .from('tasks')
+            .select('id')
+            .eq('user_id', userId)
+            .limit(PURGE_BATCH_SIZE);
+
+        if (error) {
+            return { error };
+        }
+
+        if (tasks.length === 0) {
+            return { error: null };
+        }
+
+        const { error: purgeError } = await purgeTasks(tasks.map(task => task.id));
+        if (purgeError) {
+            return { error: purgeError };
+        }
+    }
+};
+
+// Desvincular o usuário do que continua existindo em matrizes de outros donos
+const detachFromSharedData = async (userId) => {
+    const { error: assigneeError } = await supabase
+        .from('tasks')
+        .update({ assignee_id: null })
+        .eq('assignee_id', userId);
+
+    if (assigneeError) {
+        return { error: assigneeError };
+    }
+
+    const { error: historyError } = await supabase
+        .from('task_history')
+        .update({ actor_id: null })
+        .eq('actor_id', userId);
+
+    if (historyError) {
+        return { error: historyError };
+    }
+
+    // Comentários com respostas de outras pessoas ficam como removidos (sem texto nem autor)
+    const { data: threads, error: threadsError } = await supabase
+        .from('task_comments')
+        .select('id')
+        .eq('user_id', userId)
+        .is('parent_id', null);
+
+    if (threadsError || threads.length === 0) {
+        return { error: threadsError || null };
+    }
+
+    const { data: replies, error: repliesError } = await supabase
+        .from('task_comments')
+        .select('parent_id')
+        .in('parent_id', threads.map(thread => thread.id))
+        .neq('user_id', userId);
+
+    if (repliesError || replies.length === 0) {
+        return { error: repliesError || null };
+    }
+
+    const now = new Date().toISOString();
+    const { error: anonymizeError } = await supabase
+        .from('task_comments')
+        .update({ user_id: null, body: null, mentions: [], deleted_at: now, updated_at: now })
+        .in('id', [...new Set(replies.map(reply => reply.parent_id))]);
+
+    return { error: anonymizeError };
+};
+
+// Apagar o conteúdo do usuário: tarefas e matrizes próprias (com membros e registros
+// de outras pessoas nelas), o que ele registrou em matrizes alheias e as tabelas por user_id.
+// Sessões, tokens e perfil ficam para deleteUserAccount.
+const deleteUserContent = async (userId) => {
+    const { error: tasksError } = await purgeOwnedTasks(userId);
+
+    if (tasksError) {
+        console.error('Delete user tasks error:', tasksError);
+        return { error: tasksError };
+    }
+
+    // Remover explicitamente os demais membros e os convites das matrizes do usuário
+    const { data: matrices, error: matricesError } = await supabase
+        .from('matrices')
+        .select('id')
+        .eq('user_id', userId);
+
+    if (matricesError) {
+        console.error('Fetch user matrices error:', matricesError);
+        return { error: matricesError };
+    }
+
+    if (matrices.length > 0) {
+        const matrixIds = matrices.map(matrix => matrix.id);
+
+        const { error: invitationsError } = await supabase
+            .from('matrix_invitations')
+            .delete()
+            .in('matrix_id', matrixIds);
+
+        if (invitationsError) {
+            console.error('Delete matrix invitations error:', invitationsError);
+            return { error: invitationsError };
+        }
+
+        const { error: membersError } = await supabase
+            .from('matrix_members')
+            .delete()
+            .in('matrix_id', matrixIds);
+
+        if (membersError) {
+            console.error('Delete matrix members error:', membersError);
+            return { error: membersError };
+        }
+    }
+
+    const { error: detachError } = await detachFromSharedData(userId);
+
+    if (detachError) {
+        console.error('Detach user data error:', detachError);
+        return { error: detachError };
+    }
+
+    for (const { table, column, exported = true } of USER_DATA_TABLES) {
+        if (!exported) continue;
+
+        const { error } = await supabase
+            .from(table)
+            .delete()
+            .eq(column, userId);
+
+        if (error) {
+            console.error(`Delete user data error (${table}):`, error);
+            return { error };
+        }
+    }
+
+    return { error: null };
+};
+
+// Apagar dados internos (sessões, tokens, 2FA) e, por último, o perfil
+const deleteUserAccount = async (userId) => {
+    for (const { table, column, exported = true } of USER_DATA_TABLES) {
+        if (exported) continue;
+
+        const { error } = await supabase
+            .from(table)
+            .delete()
+            .eq(column, userId);
+
+        if (error) {
+            console.error(`Delete user data error (${table}):`, error);
+            return { error };
+        }
+    }
+
+    const { error } = await supabase
+        .from('profiles')
+        .delete()
+        .eq('id', userId);
+
+    if (error) {
+        console.error('Delete profile error:', error);
+        return { error };
+    }
+
+    return { error: null };
+};
+
+module.exports = {
+    USER_DATA_TABLES,
+    exportUserData,
+    deleteUserContent,
+    deleteUserAccount
+};
@@ -0,0 +1,64 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Registrar ação administrativa na trilha de auditoria
+const recordAudit = async ({ actor, action, targetType = null, targetId = null, details = {} }) => {
+    const timestamp = new Date().toISOString();
+
+    console.log(`[AUDIT] ${timestamp} - ${actor?.email || 'system'} ${action}${targetId ? ` on ${targetType}:${targetId}` : ''}`);
+
+    try {
+        const { error } = await supabase
+            .from('audit_log')
+            .insert([{
+                actor_id: actor?.userId || null,
+                actor_email: actor?.email || null,
+                action,
+                target_type: targetType,
+                target_id: targetId !== null ? String(targetId) : null,
+                details,
+                created_at: timestamp
+            }]);
+
+        if (error) {
+            console.error('Audit log error:', error);
+        }
+    } catch (error) {
+        // Auditoria nunca deve derrubar a operação principal
+        console.error('Audit log error:', error);
+    }
+};
+
+// Consultar trilha de auditoria
+const listAudit = async ({ action, targetType, targetId, actorId, limit = 50 } = {}) => {
+    let query = supabase
+        .from('audit_log')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    if (action) {
+        query = query.like('action', `${action}%`);
+    }
+    if (targetType) {
+        query = query.eq('target_type', targetType);
+    }
+    if (targetId) {
+        query = query.eq('target_id', String(targetId));
+    }
+    if (actorId) {
+        query = query.eq('actor_id', actorId);
+    }
+
+    return query;
+};
+
+module.exports = {
+    recordAudit,
+    listAudit
+};
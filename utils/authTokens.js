@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Tipos de token e validade padrão
+const TOKEN_TYPES = {
+    PASSWORD_RESET: 'password_reset',
+    EMAIL_VERIFICATION: 'email_verification'
+};
+
+const TOKEN_TTL_MS = {
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MS) || 60 * 60 * 1000, // 1 hora
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MS) || 24 * 60 * 60 * 1000 // 24 horas
+};
+
+// Apenas o hash do token é persistido
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Emitir token de uso único (invalida tokens anteriores do mesmo tipo)
+const issueToken = async (userId, type) => {
+    const now = new Date();
+
+    const { error: invalidateError } = await supabase
+        .from('auth_tokens')
+        .update({ used_at: now.toISOString() })
+        .eq('user_id', userId)
+        .eq('type', type)
+        .is('used_at', null);
+
+    if (invalidateError) {
+        return { data: null, error: invalidateError };
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const ttl = TOKEN_TTL_MS[type];
+
+    const { error } = await supabase
+        .from('auth_tokens')
+        .insert([{
+            user_id: userId,
+            type,
+            token_hash: hashToken(token),
+            expires_at: new Date(now.getTime() + ttl).toISOString(),
+            created_at: now.toISOString()
+        }]);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return { data: { token, expiresInMinutes: Math.round(ttl / 60000) }, error: null };
+};
+
+// Consumir token: marca como usado de forma condicional, garantindo uso único
+const consumeToken = async (token, type) => {
+    if (!token || typeof token !== 'string') {
+        return { data: null, error: { message: 'Invalid token' } };
+    }
+
+    const { data: consumed, error } = await supabase
+        .from('auth_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('token_hash', hashToken(token))
+        .eq('type', type)
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .select('user_id');
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    if (!consumed || consumed.length === 0) {
+        return { data: null, error: { message: 'Invalid or expired token' } };
+    }
+
+    return { data: { userId: consumed[0].user_id }, error: null };
+};
+
+module.exports = {
+    TOKEN_TYPES,
+    issueToken,
+    consumeToken
+};
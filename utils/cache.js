@@ -105,6 +105,27 @@ class CacheManager {
         });
     }
     
+    // Estatísticas de um cache (ou de todos)
+    getStatistics(cacheType = null) {
+        const names = cacheType ? [cacheType] : Object.keys(this.caches);
+
+        return names.reduce((result, cacheName) => {
+            const cache = this.caches[cacheName];
+            if (!cache) return result;
+
+            const stats = cache.getStats();
+            result[cacheName] = {
+                keys: stats.keys,
+                hits: stats.hits,
+                misses: stats.misses,
+                hitRatio: stats.hits / (stats.hits + stats.misses) || 0,
+                maxKeys: cache.options.maxKeys,
+                stdTTL: cache.options.stdTTL
+            };
+            return result;
+        }, {});
+    }
+    
     // Métodos de interface
     get(cacheType, key) {
         if (!this.caches[cacheType]) {
@@ -172,6 +193,7 @@ module.exports = {
     getCache,
     setCache,
     delCache,
+    deleteCache: delCache,
     mainCache,
     sessionCache,
     aiCache,
@@ -232,6 +232,18 @@ const startMonitoring = () => {
     }, 60000); // A cada minuto
 };
 
+// Registro dos circuit breakers por nome
+const circuitBreakers = {
+    gemini: geminiCircuitBreaker,
+    supabase: supabaseCircuitBreaker,
+    generic: genericCircuitBreaker
+};
+
+// Obter circuit breaker pelo nome
+const getCircuitBreaker = (name) => {
+    return Object.prototype.hasOwnProperty.call(circuitBreakers, name) ? circuitBreakers[name] : null;
+};
+
 // Health check dos circuit breakers
 const healthCheck = () => {
     return {
@@ -249,6 +261,8 @@ module.exports = {
     geminiCircuitBreaker,
     supabaseCircuitBreaker,
     genericCircuitBreaker,
+    circuitBreakers,
+    getCircuitBreaker,
     httpRequest,
     circuitBreakerMiddleware,
     healthCheck,
@@ -0,0 +1,179 @@
+const { createClient } = require('@supabase/supabase-js');
+const { invalidateTaskCaches } = require('./matrices');
+const { MOVE_SOURCES, moveTaskToQuadrant } = require('./taskMoves');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Converter política "2:1,4:3" em { 2: 1, 4: 3 }
+const parsePromotions = (value) => {
+    return String(value)
+        .split(',')
+        .map(pair => pair.split(':').map(n => parseInt(n.trim())))
+        .filter(([from, to]) => [1, 2, 3, 4].includes(from) && [1, 2, 3, 4].includes(to) && from !== to)
+        .reduce((promotions, [from, to]) => ({ ...promotions, [from]: to }), {});
+};
+
+// Reavalia a urgência pelo due_date: promove tarefas próximas do prazo
+// (padrão Q2→Q1 e Q4→Q3 em 48h) e marca tarefas vencidas.
+class EscalationScheduler {
+    constructor(options = {}) {
+        this.intervalMs = options.intervalMs || parseInt(process.env.ESCALATION_INTERVAL_MS) || 15 * 60 * 1000; // 15 minutos
+        this.windowHours = options.windowHours || parseInt(process.env.ESCALATION_WINDOW_HOURS) || 48;
+        this.promotions = options.promotions || parsePromotions(process.env.ESCALATION_PROMOTIONS || '2:1,4:3');
+        this.batchSize = options.batchSize || 500;
+
+        this.timer = null;
+        this.running = false;
+        this.lastRun = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.run().catch(error => console.error('Escalation run error:', error));
+        }, this.intervalMs);
+
+        console.log(`⏫ Escalation scheduler started (every ${Math.round(this.intervalMs / 60000)} min, window ${this.windowHours}h)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getStatus() {
+        return {
+            active: !!this.timer,
+            running: this.running,
+            intervalMs: this.intervalMs,
+            windowHours: this.windowHours,
+            promotions: this.promotions,
+            lastRun: this.lastRun
+        };
+    }
+
+    // Promover tarefas cujo prazo está dentro da janela
+    async promoteDueTasks(now, affected) {
+        const windowEnd = new Date(now.getTime() + this.windowHours * 60 * 60 * 1000);
+        const sourceQuadrants = Object.keys(this.promotions).map(Number);
+
+        if (sourceQuadrants.length === 0) return 0;
+
+        const { data: tasks, error } = await supabase
+            .from('tasks')
+            .select('*')
+            .in('quadrant', sourceQuadrants)
+            .is('deleted_at', null)
+            .neq('status', 'completed')
+            .not('due_date', 'is', null)
+            .lte('due_date', windowEnd.toISOString())
+            .or('escalation_opt_out.is.null,escalation_opt_out.eq.false')
+            .is('escalated_at', null)
+            .limit(this.batchSize);
+
+        if (error) {
+            console.error('Fetch tasks for escalation error:', error);
+            return 0;
+        }
+
+        let promoted = 0;
+        for (const task of tasks) {
+            const targetQuadrant = this.promotions[task.quadrant];
+            const overdue = new Date(task.due_date) < now;
+            const reason = overdue
+                ? `Overdue since ${task.due_date}`
+                : `Due ${task.due_date}, within ${this.windowHours}h escalation window`;
+
+            const { error: moveError } = await moveTaskToQuadrant(task, targetQuadrant, {
+                userId: task.user_id,
+                source: MOVE_SOURCES.ESCALATION,
+                reason,
+                // Escalar uma única vez por prazo: se o usuário mover de volta, a escolha é respeitada
+                extraUpdate: { escalated_at: now.toISOString() }
+            });
+
+            if (moveError) {
+                console.error(`Escalation of task ${task.id} failed:`, moveError.message);
+                continue;
+            }
+
+            promoted++;
+            affected.set(`${task.user_id}:${task.matrix_id || ''}`, task);
+            console.log(`Task escalated: ${task.id} from Q${task.quadrant} to Q${targetQuadrant} (${reason})`);
+        }
+
+        return promoted;
+    }
+
+    // Marcar tarefas vencidas ainda não sinalizadas
+    async flagOverdueTasks(now, affected) {
+        const { data: flagged, error } = await supabase
+            .from('tasks')
+            .update({ overdue_at: now.toISOString() })
+            .is('deleted_at', null)
+            .neq('status', 'completed')
+            .not('due_date', 'is', null)
+            .lt('due_date', now.toISOString())
+            .is('overdue_at', null)
+            .select('id, user_id, matrix_id');
+
+        if (error) {
+            console.error('Flag overdue tasks error:', error);
+            return 0;
+        }
+
+        flagged.forEach(task => affected.set(`${task.user_id}:${task.matrix_id || ''}`, task));
+        return flagged.length;
+    }
+
+    async run() {
+        if (this.running) {
+            return null;
+        }
+
+        this.running = true;
+        const startedAt = new Date();
+        const affected = new Map(); // dono + matriz das tarefas alteradas
+
+        try {
+            const promoted = await this.promoteDueTasks(startedAt, affected);
+            const flagged = await this.flagOverdueTasks(startedAt, affected);
+
+            // Invalidar cache dos donos e membros das matrizes afetadas
+            for (const task of affected.values()) {
+                await invalidateTaskCaches(task.user_id, task.matrix_id);
+            }
+
+            this.lastRun = {
+                startedAt: startedAt.toISOString(),
+                finishedAt: new Date().toISOString(),
+                promoted,
+                flagged
+            };
+
+            if (promoted > 0 || flagged > 0) {
+                console.log(`Escalation run: ${promoted} promoted, ${flagged} flagged overdue`);
+            }
+
+            return this.lastRun;
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+// Instância global
+const escalationScheduler = new EscalationScheduler();
+
+module.exports = {
+    EscalationScheduler,
+    escalationScheduler,
+    parsePromotions
+};
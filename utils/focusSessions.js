@@ -0,0 +1,172 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Estados da sessão de foco: ativa (em andamento/pausada) ou encerrada
+const FOCUS_STATUSES = {
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    ABANDONED: 'abandoned'
+};
+
+const ACTIVE_STATUSES = [FOCUS_STATUSES.RUNNING, FOCUS_STATUSES.PAUSED];
+
+// Pomodoro clássico
+const DEFAULT_FOCUS_SETTINGS = {
+    work_minutes: 25,
+    short_break_minutes: 5,
+    long_break_minutes: 15,
+    sessions_before_long_break: 4
+};
+
+const SETTING_LIMITS = {
+    work_minutes: [5, 180],
+    short_break_minutes: [1, 60],
+    long_break_minutes: [1, 120],
+    sessions_before_long_break: [1, 12]
+};
+
+// Validar configurações (camelCase na API, snake_case no banco)
+function validateFocusSettings(body) {
+    const fields = {
+        workMinutes: 'work_minutes',
+        shortBreakMinutes: 'short_break_minutes',
+        longBreakMinutes: 'long_break_minutes',
+        sessionsBeforeLongBreak: 'sessions_before_long_break'
+    };
+    const value = {};
+
+    for (const [field, column] of Object.entries(fields)) {
+        if (body[field] === undefined) continue;
+
+        const [min, max] = SETTING_LIMITS[column];
+        if (!Number.isInteger(body[field]) || body[field] < min || body[field] > max) {
+            return { isValid: false, error: `${field} must be an integer between ${min} and ${max}` };
+        }
+        value[column] = body[field];
+    }
+
+    if (Object.keys(value).length === 0) {
+        return { isValid: false, error: `Nothing to update (${Object.keys(fields).join(', ')})` };
+    }
+
+    return { isValid: true, value };
+}
+
+// Configurações do usuário (padrão quando nunca salvou)
+async function getFocusSettings(userId) {
+    const { data: settings, error } = await supabase
+        .from('focus_settings')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return { data: { ...DEFAULT_FOCUS_SETTINGS, ...(settings || {}), user_id: userId }, error: null };
+}
+
+// Segundos de foco efetivo (descontando pausas; sessão em andamento conta até agora).
+// Limitado à duração planejada: sessão esquecida aberta não vira horas de foco.
+const focusedSeconds = (session, now = new Date()) => {
+    const limit = session.work_minutes ? session.work_minutes * 60 : Infinity;
+
+    if (session.focused_seconds !== null && session.focused_seconds !== undefined && !ACTIVE_STATUSES.includes(session.status)) {
+        return Math.min(session.focused_seconds, limit);
+    }
+
+    const end = session.status === FOCUS_STATUSES.PAUSED ? new Date(session.paused_at) : now;
+    const elapsed = Math.floor((end - new Date(session.started_at)) / 1000) - (session.paused_seconds || 0);
+    return Math.min(Math.max(0, elapsed), limit);
+};
+
+// Validar deslocamento do fuso em minutos (padrão: UTC)
+const parseTzOffset = (value) => {
+    const tzOffsetMinutes = value === undefined ? 0 : parseInt(value);
+    if (!Number.isInteger(tzOffsetMinutes) || tzOffsetMinutes < -720 || tzOffsetMinutes > 840) {
+        return { isValid: false, error: 'tzOffset must be between -720 and 840 minutes' };
+    }
+    return { isValid: true, value: tzOffsetMinutes };
+};
+
+// Chave do dia (YYYY-MM-DD) no fuso do usuário (deslocamento em minutos em relação ao UTC)
+const dayKey = (date, tzOffsetMinutes = 0) => {
+    return new Date(new Date(date).getTime() + tzOffsetMinutes * 60 * 1000).toISOString().slice(0, 10);
+};
+
+// Totais diários de foco por quadrante no intervalo [from, to] (dias inclusivos).
+// Sessões são atribuídas ao dia em que começaram.
+function summarizeDailyFocus(sessions, { from, to, tzOffsetMinutes = 0 }, now = new Date()) {
+    const days = {};
+    for (let time = new Date(`${from}T00:00:00Z`).getTime(); time <= new Date(`${to}T00:00:00Z`).getTime(); time += DAY_MS) {
+        const key = new Date(time).toISOString().slice(0, 10);
+        days[key] = {
+            date: key,
+            focused_minutes: 0,
+            completed_sessions: 0,
+            abandoned_sessions: 0,
+            by_quadrant: { 1: 0, 2: 0, 3: 0, 4: 0 }
+        };
+    }
+
+    const seconds = {};
+    sessions.forEach(session => {
+        const key = dayKey(session.started_at, tzOffsetMinutes);
+        const day = days[key];
+        if (!day) return;
+
+        const focused = focusedSeconds(session, now);
+        seconds[key] = seconds[key] || { total: 0, 1: 0, 2: 0, 3: 0, 4: 0 };
+        seconds[key].total += focused;
+        if (seconds[key][session.quadrant] !== undefined) {
+            seconds[key][session.quadrant] += focused;
+        }
+
+        if (session.status === FOCUS_STATUSES.COMPLETED) day.completed_sessions++;
+        if (session.status === FOCUS_STATUSES.ABANDONED) day.abandoned_sessions++;
+    });
+
+    // Minutos arredondados só no fim, para não acumular erro
+    Object.entries(seconds).forEach(([key, totals]) => {
+        days[key].focused_minutes = Math.round(totals.total / 60);
+        [1, 2, 3, 4].forEach(quadrant => {
+            days[key].by_quadrant[quadrant] = Math.round(totals[quadrant] / 60);
+        });
+    });
+
+    const dayList = Object.values(days);
+    const totalByQuadrant = { 1: 0, 2: 0, 3: 0, 4: 0 };
+    dayList.forEach(day => [1, 2, 3, 4].forEach(quadrant => { totalByQuadrant[quadrant] += day.by_quadrant[quadrant]; }));
+    const totalMinutes = dayList.reduce((total, day) => total + day.focused_minutes, 0);
+
+    return {
+        days: dayList,
+        totals: {
+            focused_minutes: totalMinutes,
+            completed_sessions: dayList.reduce((total, day) => total + day.completed_sessions, 0),
+            by_quadrant: totalByQuadrant,
+            quadrant_2_share: totalMinutes > 0 ? Math.round((totalByQuadrant[2] / totalMinutes) * 100) : 0
+        }
+    };
+}
+
+module.exports = {
+    FOCUS_STATUSES,
+    ACTIVE_STATUSES,
+    DEFAULT_FOCUS_SETTINGS,
+    validateFocusSettings,
+    getFocusSettings,
+    focusedSeconds,
+    parseTzOffset,
+    dayKey,
+    summarizeDailyFocus
+};
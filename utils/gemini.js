@@ -0,0 +1,24 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { geminiCircuitBreaker, CIRCUIT_STATES } = require('./circuitBreaker');
+
+// Configuração Gemini
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const model = genAI.getGenerativeModel({ model: 'gemini-pro' });
+
+// Gerar texto passando pelo circuit breaker do Gemini
+const generateText = (prompt) => geminiCircuitBreaker.execute(async () => {
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    return response.text();
+});
+
+// Circuito aberto (e ainda dentro do tempo de espera) recusa chamadas
+const isGeminiAvailable = () => {
+    const { state, lastFailureTime } = geminiCircuitBreaker.getState();
+    return state !== CIRCUIT_STATES.OPEN || Date.now() - lastFailureTime >= geminiCircuitBreaker.resetTimeout;
+};
+
+module.exports = {
+    generateText,
+    isGeminiAvailable
+};
@@ -0,0 +1,125 @@
+const EventEmitter = require('events');
+const { rateLimitCache } = require('./cache');
+
+// Proteção contra força bruta por e-mail (complementa o authLimiter, que é por IP).
+// Falhas são contadas mesmo para e-mails inexistentes, para não revelar quais contas existem.
+class LoginGuard extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.maxFailures = options.maxFailures || parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+        this.lockoutMs = options.lockoutMs || parseInt(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000; // 15 minutos
+        this.maxLockoutMs = options.maxLockoutMs || 24 * 60 * 60 * 1000; // 24 horas
+        this.delayAfter = options.delayAfter || 2; // falhas antes de começar a atrasar
+        this.maxDelayMs = options.maxDelayMs || 8000;
+        this.failureWindowMs = options.failureWindowMs || 60 * 60 * 1000; // 1 hora
+    }
+
+    key(email) {
+        return `login_guard_${email.toLowerCase()}`;
+    }
+
+    getRecord(email) {
+        return rateLimitCache.get(this.key(email)) || {
+            email: email.toLowerCase(),
+            failures: 0,
+            lockouts: 0,
+            lockedUntil: null,
+            lastFailureAt: null
+        };
+    }
+
+    saveRecord(record, ttlMs) {
+        try {
+            rateLimitCache.set(this.key(record.email), record, Math.ceil(ttlMs / 1000));
+        } catch (error) {
+            console.error('Login guard cache error:', error.message);
+        }
+    }
+
+    // Verificar bloqueio; retorna segundos restantes ou 0
+    getLockRemaining(email) {
+        const record = this.getRecord(email);
+        if (!record.lockedUntil) return 0;
+
+        const remaining = record.lockedUntil - Date.now();
+        return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+    }
+
+    // Atraso progressivo (ms) a aplicar na resposta da próxima falha
+    getDelay(email) {
+        const { failures } = this.getRecord(email);
+        if (failures < this.delayAfter) return 0;
+        return Math.min(1000 * 2 ** (failures - this.delayAfter), this.maxDelayMs);
+    }
+
+    // Registrar falha; bloqueia ao atingir o limite (bloqueios consecutivos dobram de duração)
+    recordFailure(email, context = {}) {
+        const record = this.getRecord(email);
+        const now = Date.now();
+
+        // Bloqueio anterior já expirou: começar nova contagem
+        if (record.lockedUntil && record.lockedUntil <= now) {
+            record.failures = 0;
+            record.lockedUntil = null;
+        }
+
+        record.failures++;
+        record.lastFailureAt = now;
+
+        if (record.failures >= this.maxFailures) {
+            const duration = Math.min(this.lockoutMs * 2 ** record.lockouts, this.maxLockoutMs);
+            record.lockouts++;
+            record.lockedUntil = now + duration;
+
+            console.warn(`[SECURITY] Login locked for ${record.email} after ${record.failures} failures (until ${new Date(record.lockedUntil).toISOString()})`);
+
+            this.emit('lockout', {
+                email: record.email,
+                failures: record.failures,
+                lockouts: record.lockouts,
+                lockedUntil: new Date(record.lockedUntil).toISOString(),
+                ip: context.ip || null
+            });
+        }
+
+        // Manter o registro durante o bloqueio e mais uma janela de contagem
+        this.saveRecord(record, (record.lockedUntil ? record.lockedUntil - now : 0) + this.failureWindowMs);
+        return record;
+    }
+
+    // Login bem-sucedido limpa o histórico
+    recordSuccess(email) {
+        rateLimitCache.del(this.key(email));
+    }
+
+    // Desbloqueio manual (admin)
+    unlock(email) {
+        const existed = !!rateLimitCache.get(this.key(email));
+        rateLimitCache.del(this.key(email));
+        return existed;
+    }
+
+    // Listar contas bloqueadas no momento
+    listLocked() {
+        const now = Date.now();
+        return rateLimitCache.keys()
+            .filter(key => key.startsWith('login_guard_'))
+            .map(key => rateLimitCache.get(key))
+            .filter(record => record && record.lockedUntil && record.lockedUntil > now)
+            .map(record => ({
+                email: record.email,
+                failures: record.failures,
+                lockouts: record.lockouts,
+                lockedUntil: new Date(record.lockedUntil).toISOString(),
+                lastFailureAt: new Date(record.lastFailureAt).toISOString()
+            }));
+    }
+}
+
+// Instância global
+const loginGuard = new LoginGuard();
+
+module.exports = {
+    LoginGuard,
+    loginGuard
+};
@@ -0,0 +1,180 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { httpRequest } = require('./circuitBreaker');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Eisenhower Matrix <no-reply@eisenhower.local>';
+const APP_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Transportes disponíveis: cada um recebe a mensagem pronta e a entrega
+const transports = {
+    // Desenvolvimento: imprime no console
+    console: () => async (message) => {
+        console.log(`[MAIL] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        return { id: message.id };
+    },
+
+    // Desenvolvimento/testes: grava cada mensagem como JSON em disco
+    file: () => {
+        const dir = process.env.MAIL_FILE_DIR || './logs/mail';
+        return async (message) => {
+            await fs.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${message.id}.json`);
+            await fs.writeFile(file, JSON.stringify(message, null, 2));
+            return { id: message.id, file };
+        };
+    },
+
+    // Produção: envia para um webhook/API HTTP de e-mail
+    http: () => {
+        const url = process.env.MAIL_HTTP_URL;
+        if (!url) {
+            throw new Error('MAIL_HTTP_URL is required for the http mail transport');
+        }
+        return async (message) => {
+            await httpRequest(url, {
+                method: 'POST',
+                data: message,
+                headers: process.env.MAIL_HTTP_TOKEN
+                    ? { Authorization: `Bearer ${process.env.MAIL_HTTP_TOKEN}` }
+                    : {}
+            });
+            return { id: message.id };
+        };
+    }
+};
+
+let activeTransport = null;
+
+// Registrar transporte customizado
+function registerTransport(name, factory) {
+    transports[name] = factory;
+    activeTransport = null;
+}
+
+// Obter transporte configurado (MAIL_TRANSPORT, padrão: console)
+function getTransport() {
+    if (!activeTransport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!transports[name]) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        activeTransport = transports[name]();
+    }
+    return activeTransport;
+}
+
+// Enviar e-mail (falhas são registradas e retornadas, nunca lançadas)
+async function sendMail({ to, subject, text, html }) {
+    const message = {
+        id: crypto.randomUUID(),
+        from: MAIL_FROM,
+        to,
+        subject,
+        text,
+        html,
+        createdAt: new Date().toISOString()
+    };
+
+    try {
+        const result = await getTransport()(message);
+        return { data: result, error: null };
+    } catch (error) {
+        console.error('Send mail error:', error.message);
+        return { data: null, error };
+    }
+}
+
+// Templates
+
+// Nomes vêm do usuário: escapar antes de colocar no HTML
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+function passwordResetEmail({ fullName, token, expiresInMinutes }) {
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    return {
+        subject: 'Redefinição de senha',
+        text: `Olá ${fullName || ''},\n\nRecebemos uma solicitação para redefinir sua senha.\n` +
+            `Acesse o link abaixo em até ${expiresInMinutes} minutos:\n\n${link}\n\n` +
+            'Se você não fez esta solicitação, ignore este e-mail.',
+        html: `<p>Olá ${escapeHtml(fullName)},</p><p>Recebemos uma solicitação para redefinir sua senha.</p>` +
+            `<p><a href="${link}">Redefinir senha</a> (válido por ${expiresInMinutes} minutos)</p>` +
+            '<p>Se você não fez esta solicitação, ignore este e-mail.</p>'
+    };
+}
+
+function emailVerificationEmail({ fullName, token, expiresInMinutes }) {
+    const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    return {
+        subject: 'Confirme seu e-mail',
+        text: `Olá ${fullName || ''},\n\nConfirme seu endereço de e-mail acessando o link abaixo ` +
+            `em até ${expiresInMinutes} minutos:\n\n${link}`,
+        html: `<p>Olá ${escapeHtml(fullName)},</p>` +
+            `<p><a href="${link}">Confirmar e-mail</a> (válido por ${expiresInMinutes} minutos)</p>`
+    };
+}
+
+function accountLockedEmail({ fullName, lockedUntil }) {
+    const link = `${APP_URL}/forgot-password`;
+    return {
+        subject: 'Sua conta foi bloqueada temporariamente',
+        text: `Olá ${fullName || ''},\n\nDetectamos várias tentativas de login sem sucesso na sua conta. ` +
+            `Por segurança, novos logins estão bloqueados até ${lockedUntil}.\n\n` +
+            `Se não foi você, recomendamos redefinir sua senha: ${link}`,
+        html: `<p>Olá ${escapeHtml(fullName)},</p><p>Detectamos várias tentativas de login sem sucesso na sua conta. ` +
+            `Por segurança, novos logins estão bloqueados até ${lockedUntil}.</p>` +
+            `<p>Se não foi você, recomendamos <a href="${link}">redefinir sua senha</a>.</p>`
+    };
+}
+
+function matrixInvitationEmail({ fullName, inviterName, matrixName, role }) {
+    const link = `${APP_URL}/matrices/invitations`;
+    return {
+        subject: `Convite para a matriz "${matrixName}"`,
+        text: `Olá ${fullName || ''},\n\n${inviterName || 'Um usuário'} convidou você para a matriz ` +
+            `"${matrixName}" como ${role}.\n\nAceite ou recuse o convite em: ${link}`,
+        html: `<p>Olá ${escapeHtml(fullName)},</p><p>${escapeHtml(inviterName || 'Um usuário')} convidou você para a matriz ` +
+            `<strong>${escapeHtml(matrixName)}</strong> como ${escapeHtml(role)}.</p>` +
+            `<p><a href="${link}">Ver convite</a></p>`
+    };
+}
+
+function taskMentionEmail({ fullName, authorName, taskTitle, taskId, comment }) {
+    const link = `${APP_URL}/tasks/${encodeURIComponent(taskId)}`;
+    return {
+        subject: `Você foi mencionado em "${taskTitle}"`,
+        text: `Olá ${fullName || ''},\n\n${authorName || 'Um usuário'} mencionou você em um comentário ` +
+            `na tarefa "${taskTitle}":\n\n${comment}\n\nAcesse: ${link}`,
+        html: `<p>Olá ${escapeHtml(fullName)},</p><p>${escapeHtml(authorName || 'Um usuário')} mencionou você em um comentário ` +
+            `na tarefa <strong>${escapeHtml(taskTitle)}</strong>:</p><blockquote>${escapeHtml(comment)}</blockquote>` +
+            `<p><a href="${link}">Abrir tarefa</a></p>`
+    };
+}
+
+function taskUnblockedEmail({ fullName, taskTitle, taskId, blockerTitle }) {
+    const link = `${APP_URL}/tasks/${encodeURIComponent(taskId)}`;
+    return {
+        subject: `"${taskTitle}" não está mais bloqueada`,
+        text: `Olá ${fullName || ''},\n\nA tarefa "${blockerTitle}" foi concluída e ` +
+            `"${taskTitle}" já pode ser iniciada.\n\nAcesse: ${link}`,
+        html: `<p>Olá ${escapeHtml(fullName)},</p><p>A tarefa <strong>${escapeHtml(blockerTitle)}</strong> foi concluída e ` +
+            `<strong>${escapeHtml(taskTitle)}</strong> já pode ser iniciada.</p>` +
+            `<p><a href="${link}">Abrir tarefa</a></p>`
+    };
+}
+
+module.exports = {
+    sendMail,
+    registerTransport,
+    getTransport,
+    templates: {
+        passwordResetEmail,
+        emailVerificationEmail,
+        accountLockedEmail,
+        matrixInvitationEmail,
+        taskMentionEmail,
+        taskUnblockedEmail
+    }
+};
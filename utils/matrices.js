@@ -0,0 +1,165 @@
+const { createClient } = require('@supabase/supabase-js');
+const { deleteCache } = require('./cache');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Tarefas com matrix_id nulo pertencem à matriz padrão (implícita) do usuário
+const DEFAULT_MATRIX = 'default';
+
+// Papéis em uma matriz compartilhada (o dono é matrices.user_id)
+const MATRIX_ROLES = {
+    OWNER: 'owner',
+    EDITOR: 'editor',
+    VIEWER: 'viewer'
+};
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const hasMatrixRole = (role, minRole) => {
+    return !!role && ROLE_RANK[role] >= ROLE_RANK[minRole];
+};
+
+// Papel do usuário na matriz (null = sem acesso)
+const getMatrixRole = async (matrix, userId) => {
+    if (matrix.user_id === userId) {
+        return MATRIX_ROLES.OWNER;
+    }
+
+    const { data: member } = await supabase
+        .from('matrix_members')
+        .select('role')
+        .eq('matrix_id', matrix.id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    return member ? member.role : null;
+};
+
+// Buscar matriz acessível ao usuário, com o papel dele em `role`
+const fetchMatrix = async (matrixId, userId) => {
+    const { data: matrix, error } = await supabase
+        .from('matrices')
+        .select('*')
+        .eq('id', matrixId)
+        .single();
+
+    if (error || !matrix) {
+        return null;
+    }
+
+    const role = await getMatrixRole(matrix, userId);
+    return role ? { ...matrix, role } : null;
+};
+
+// Converter o matrixId recebido na API em { id, ownerId, role }
+// (null/"default" = matriz padrão do próprio usuário, id null).
+// Matrizes arquivadas não recebem tarefas novas.
+const resolveMatrix = async (matrixId, userId, { allowArchived = false, minRole = MATRIX_ROLES.EDITOR } = {}) => {
+    if (matrixId === undefined || matrixId === null || matrixId === DEFAULT_MATRIX) {
+        return { data: { id: null, ownerId: userId, role: MATRIX_ROLES.OWNER }, error: null };
+    }
+
+    if (typeof matrixId !== 'string') {
+        return { data: null, error: { status: 400, message: 'Invalid matrixId' } };
+    }
+
+    const matrix = await fetchMatrix(matrixId, userId);
+
+    if (!matrix) {
+        return { data: null, error: { status: 404, message: 'Matrix not found' } };
+    }
+
+    if (!hasMatrixRole(matrix.role, minRole)) {
+        return { data: null, error: { status: 403, message: 'Insufficient matrix permissions' } };
+    }
+
+    if (matrix.archived_at && !allowArchived) {
+        return { data: null, error: { status: 409, message: 'Matrix is archived' } };
+    }
+
+    return { data: { id: matrix.id, ownerId: matrix.user_id, role: matrix.role }, error: null };
+};
+
+// Ids do dono e de todos os membros da matriz
+const listMatrixUserIds = async (matrixId) => {
+    const { data: matrix } = await supabase
+        .from('matrices')
+        .select('user_id')
+        .eq('id', matrixId)
+        .single();
+
+    const { data: members } = await supabase
+        .from('matrix_members')
+        .select('user_id')
+        .eq('matrix_id', matrixId);
+
+    return [...new Set([
+        ...(matrix ? [matrix.user_id] : []),
+        ...(members || []).map(member => member.user_id)
+    ])];
+};
+
+// Invalidar a listagem de tarefas de todos que enxergam a matriz
+const invalidateTaskCaches = async (ownerId, matrixId = null) => {
+    const userIds = matrixId ? await listMatrixUserIds(matrixId) : [];
+    [...new Set([ownerId, ...userIds])].forEach(userId => deleteCache(`tasks_${userId}`));
+};
+
+// Responsável pela tarefa: precisa ser o dono ou membro da matriz
+const validateAssignee = async (assigneeId, { id: matrixId, ownerId }) => {
+    if (assigneeId === null || assigneeId === undefined) {
+        return { data: null, error: null };
+    }
+
+    if (typeof assigneeId !== 'string') {
+        return { data: null, error: { status: 400, message: 'Invalid assigneeId' } };
+    }
+
+    const allowed = matrixId ? await listMatrixUserIds(matrixId) : [ownerId];
+    if (!allowed.includes(assigneeId)) {
+        return { data: null, error: { status: 400, message: 'Assignee must be a member of the matrix' } };
+    }
+
+    return { data: assigneeId, error: null };
+};
+
+// Próximo número da tarefa no quadrante, sequência separada por matriz.
+// Os números são gerados no banco (get_next_task_number / get_next_matrix_task_number),
+// que serializa chamadas concorrentes no mesmo quadrante; ler o maior número e somar 1
+// aqui daria o mesmo número a dois editores ao mesmo tempo.
+const getNextTaskNumber = async ({ userId, quadrant, matrixId = null }) => {
+    if (!matrixId) {
+        const { data, error } = await supabase
+            .rpc('get_next_task_number', {
+                user_id: userId,
+                quadrant_num: quadrant
+            });
+
+        return { data, error };
+    }
+
+    const { data, error } = await supabase
+        .rpc('get_next_matrix_task_number', {
+            matrix_id: matrixId,
+            quadrant_num: quadrant
+        });
+
+    return { data, error };
+};
+
+module.exports = {
+    DEFAULT_MATRIX,
+    MATRIX_ROLES,
+    hasMatrixRole,
+    getMatrixRole,
+    fetchMatrix,
+    resolveMatrix,
+    listMatrixUserIds,
+    invalidateTaskCaches,
+    validateAssignee,
+    getNextTaskNumber
+};
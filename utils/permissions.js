@@ -0,0 +1,61 @@
+// Papéis disponíveis e suas permissões
+const ROLES = {
+    user: [
+        'tasks:read',
+        'tasks:write',
+        'ai:use'
+    ],
+    support: [
+        'tasks:read',
+        'tasks:write',
+        'ai:use',
+        'users:read',
+        'roles:read',
+        'audit:read'
+    ],
+    admin: ['*']
+};
+
+const DEFAULT_ROLE = 'user';
+
+// Verificar se o papel existe
+function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+// Normalizar papéis vindos do perfil (ignora papéis desconhecidos)
+function normalizeRoles(roles) {
+    if (!Array.isArray(roles) || roles.length === 0) {
+        return [DEFAULT_ROLE];
+    }
+    const valid = roles.filter(isValidRole);
+    return valid.length > 0 ? [...new Set(valid)] : [DEFAULT_ROLE];
+}
+
+// Obter permissões efetivas de um conjunto de papéis
+function getPermissions(roles) {
+    const permissions = new Set();
+    normalizeRoles(roles).forEach(role => {
+        ROLES[role].forEach(permission => permissions.add(permission));
+    });
+    return [...permissions];
+}
+
+// Verificar se os papéis concedem a permissão ("*" ou "recurso:*" funcionam como curinga)
+function hasPermission(roles, permission) {
+    const permissions = getPermissions(roles);
+    const [resource] = permission.split(':');
+
+    return permissions.includes('*') ||
+        permissions.includes(`${resource}:*`) ||
+        permissions.includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    isValidRole,
+    normalizeRoles,
+    getPermissions,
+    hasPermission
+};
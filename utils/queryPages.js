@@ -0,0 +1,27 @@
+// Leitura paginada: o PostgREST limita cada resposta (1000 linhas por padrão),
+// então consultas que precisam de todas as linhas são lidas em páginas.
+
+const PAGE_SIZE = 1000;
+
+// `buildQuery` deve retornar uma consulta nova a cada chamada, com ordenação estável
+async function fetchAllRows(buildQuery, pageSize = PAGE_SIZE) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += pageSize) {
+        const { data: page, error } = await buildQuery().range(offset, offset + pageSize - 1);
+
+        if (error) {
+            return { data: null, error };
+        }
+
+        rows.push(...page);
+
+        if (page.length < pageSize) {
+            return { data: rows, error: null };
+        }
+    }
+}
+
+module.exports = {
+    fetchAllRows
+};
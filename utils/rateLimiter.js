@@ -48,18 +48,22 @@ const authLimiter = rateLimit({
 });
 
 // Rate limiter para tarefas
+// Store explícito para que operações em lote possam consumir peso extra
+const TASK_LIMIT_MAX = 30;
+const taskLimiterStore = new rateLimit.MemoryStore();
+const taskLimiterKey = (req) => req.user?.userId || req.ip;
+
 const taskLimiter = rateLimit({
     windowMs: 1 * 60 * 1000, // 1 minuto
-    max: 30, // 30 operações de tarefa por minuto
+    max: TASK_LIMIT_MAX, // 30 operações de tarefa por minuto
+    store: taskLimiterStore,
     message: {
         error: 'Too many task operations, please slow down.',
         retryAfter: 60
     },
     standardHeaders: true,
     legacyHeaders: false,
-    keyGenerator: (req) => {
-        return req.user?.userId || req.ip;
-    },
+    keyGenerator: taskLimiterKey,
     handler: (req, res) => {
         console.log(`Task rate limit exceeded for user: ${req.user?.userId || req.ip} at ${new Date().toISOString()}`);
         res.status(429).json({
@@ -70,6 +74,42 @@ const taskLimiter = rateLimit({
     }
 });
 
+// Conta uma requisição como `weight` operações no taskLimiter (deve vir depois dele).
+// O taskLimiter já contou 1; se o peso total estourar o limite, nada é consumido.
+const weightedTaskLimit = (getWeight) => {
+    return async (req, res, next) => {
+        try {
+            const extra = Math.max(0, getWeight(req) - 1);
+            if (extra === 0) {
+                return next();
+            }
+
+            const key = taskLimiterKey(req);
+            let totalHits = 0;
+            for (let i = 0; i < extra; i++) {
+                ({ totalHits } = await taskLimiterStore.increment(key));
+            }
+
+            if (totalHits > TASK_LIMIT_MAX) {
+                for (let i = 0; i < extra; i++) {
+                    await taskLimiterStore.decrement(key);
+                }
+
+                console.log(`Task rate limit exceeded for user: ${key} (weight ${extra + 1}) at ${new Date().toISOString()}`);
+                return res.status(429).json({
+                    error: 'Too many task operations',
+                    retryAfter: Math.ceil(60),
+                    message: `This request counts as ${extra + 1} task operations and exceeds your remaining quota`
+                });
+            }
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
 // Rate limiter para IA (muito restritivo)
 const aiLimiter = rateLimit({
     windowMs: 5 * 60 * 1000, // 5 minutos
@@ -228,6 +268,7 @@ module.exports = {
     generalLimiter,
     authLimiter,
     taskLimiter,
+    weightedTaskLimit,
     aiLimiter,
     uploadLimiter,
     createCustomLimiter,
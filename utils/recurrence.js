@@ -0,0 +1,168 @@
+// Regras de recorrência no estilo RRULE (subconjunto):
+// {
+//   frequency: 'daily' | 'weekly' | 'monthly',
+//   interval: 1,                 // a cada N dias/semanas/meses
+//   byWeekday: [1, 3],           // semanal: 0 = domingo ... 6 = sábado
+//   byMonthDay: 15,              // mensal: dia do mês (-1 = último dia)
+//   until: '2025-12-31',         // fim por data (opcional)
+//   count: 10,                   // fim por número de ocorrências (opcional)
+//   startDate: '...'             // âncora da série (preenchida automaticamente)
+// }
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Validar e normalizar regra
+function validateRecurrence(rule, anchorDate = new Date()) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return { isValid: false, error: 'Recurrence must be an object' };
+    }
+
+    const frequency = rule.frequency;
+    if (!FREQUENCIES.includes(frequency)) {
+        return { isValid: false, error: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+
+    const interval = rule.interval === undefined ? 1 : rule.interval;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        return { isValid: false, error: 'Recurrence interval must be an integer between 1 and 365' };
+    }
+
+    const normalized = { frequency, interval };
+
+    if (frequency === 'weekly') {
+        const weekdays = rule.byWeekday === undefined
+            ? [new Date(anchorDate).getUTCDay()]
+            : rule.byWeekday;
+
+        if (!Array.isArray(weekdays) || weekdays.length === 0) {
+            return { isValid: false, error: 'Recurrence byWeekday must be a non-empty array' };
+        }
+
+        const days = weekdays.map(day => (typeof day === 'string' ? WEEKDAY_NAMES[day.toUpperCase()] : day));
+        if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return { isValid: false, error: 'Recurrence byWeekday must contain weekdays 0-6 or SU-SA' };
+        }
+
+        normalized.byWeekday = [...new Set(days)].sort();
+    }
+
+    if (frequency === 'monthly') {
+        const monthDay = rule.byMonthDay === undefined
+            ? new Date(anchorDate).getUTCDate()
+            : rule.byMonthDay;
+
+        if (!Number.isInteger(monthDay) || monthDay === 0 || monthDay < -1 || monthDay > 31) {
+            return { isValid: false, error: 'Recurrence byMonthDay must be 1-31 or -1 (last day)' };
+        }
+
+        normalized.byMonthDay = monthDay;
+    }
+
+    if (rule.until !== undefined && rule.until !== null) {
+        // Data sem horário vale até o fim do dia
+        const until = new Date(/^\d{4}-\d{2}-\d{2}$/.test(rule.until) ? `${rule.until}T23:59:59.999Z` : rule.until);
+        if (isNaN(until.getTime())) {
+            return { isValid: false, error: 'Recurrence until must be a valid date' };
+        }
+        normalized.until = until.toISOString();
+    }
+
+    if (rule.count !== undefined && rule.count !== null) {
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 1000) {
+            return { isValid: false, error: 'Recurrence count must be an integer between 1 and 1000' };
+        }
+        normalized.count = rule.count;
+    }
+
+    normalized.startDate = new Date(rule.startDate || anchorDate).toISOString();
+
+    return { isValid: true, value: normalized };
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Início da semana (domingo) em UTC
+function startOfWeek(date) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    return d.getTime() - d.getUTCDay() * DAY_MS;
+}
+
+// Calcular a próxima ocorrência estritamente depois de `fromDate` (mantém o horário)
+function computeNextDate(rule, fromDate) {
+    const from = new Date(fromDate);
+    const anchor = new Date(rule.startDate || fromDate);
+
+    if (rule.frequency === 'daily') {
+        return new Date(from.getTime() + rule.interval * DAY_MS);
+    }
+
+    if (rule.frequency === 'weekly') {
+        const anchorWeek = startOfWeek(anchor);
+        // Procurar dentro de (interval + 1) semanas
+        for (let offset = 1; offset <= 7 * (rule.interval + 1); offset++) {
+            const candidate = new Date(from.getTime() + offset * DAY_MS);
+            const weeksSinceAnchor = Math.round((startOfWeek(candidate) - anchorWeek) / (7 * DAY_MS));
+
+            if (weeksSinceAnchor % rule.interval === 0 && rule.byWeekday.includes(candidate.getUTCDay())) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    if (rule.frequency === 'monthly') {
+        const anchorMonths = anchor.getUTCFullYear() * 12 + anchor.getUTCMonth();
+        let months = from.getUTCFullYear() * 12 + from.getUTCMonth();
+
+        // Alinhar ao intervalo da série
+        const misalignment = ((months - anchorMonths) % rule.interval + rule.interval) % rule.interval;
+        months += misalignment === 0 ? 0 : rule.interval - misalignment;
+
+        for (let i = 0; i < 3; i++, months += rule.interval) {
+            const year = Math.floor(months / 12);
+            const month = months % 12;
+            const lastDay = daysInMonth(year, month);
+            const day = rule.byMonthDay === -1 ? lastDay : Math.min(rule.byMonthDay, lastDay);
+
+            const candidate = new Date(Date.UTC(
+                year, month, day,
+                from.getUTCHours(), from.getUTCMinutes(), from.getUTCSeconds()
+            ));
+
+            if (candidate > from) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    return null;
+}
+
+// Próxima ocorrência respeitando "until" e "count"; null quando a série terminou
+function nextOccurrence(rule, fromDate, occurrenceIndex = 1) {
+    if (rule.count && occurrenceIndex >= rule.count) {
+        return null;
+    }
+
+    const next = computeNextDate(rule, fromDate);
+    if (!next) {
+        return null;
+    }
+
+    if (rule.until && next > new Date(rule.until)) {
+        return null;
+    }
+
+    return next;
+}
+
+module.exports = {
+    FREQUENCIES,
+    validateRecurrence,
+    nextOccurrence
+};
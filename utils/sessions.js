@@ -0,0 +1,322 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const { sessionCache } = require('./cache');
+const { normalizeRoles } = require('./permissions');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const ACCESS_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+const REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+// Segredo separado para refresh tokens (obrigatório, validado na inicialização)
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET;
+
+// Armazenar estado da sessão em cache (maxKeys pode estourar)
+const cacheSessionState = (sessionId, state, ttl) => {
+    try {
+        if (ttl) {
+            sessionCache.set(`session_${sessionId}`, state, ttl);
+        } else {
+            sessionCache.set(`session_${sessionId}`, state);
+        }
+    } catch (error) {
+        console.error('Session cache error:', error.message);
+    }
+};
+
+// Cada sessão é uma "família" de refresh tokens: a cada rotação o token
+// anterior é invalidado, e o reuso de um token antigo revoga a sessão inteira.
+class SessionManager {
+    constructor() {
+        this.table = 'user_sessions';
+    }
+
+    // Gerar access token vinculado à sessão
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            {
+                userId: user.id,
+                email: user.email,
+                fullName: user.fullName,
+                roles: normalizeRoles(user.roles),
+                sessionId,
+                type: 'access'
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: ACCESS_EXPIRES_IN }
+        );
+    }
+
+    // Gerar refresh token com identificador único (jti)
+    signRefreshToken(userId, sessionId) {
+        const tokenId = crypto.randomUUID();
+        const token = jwt.sign(
+            { userId, sessionId, type: 'refresh' },
+            getRefreshSecret(),
+            { expiresIn: REFRESH_EXPIRES_IN, jwtid: tokenId }
+        );
+        const { exp } = jwt.decode(token);
+
+        return { token, tokenId, expiresAt: new Date(exp * 1000).toISOString() };
+    }
+
+    // Criar nova sessão e emitir o par de tokens
+    async createSession(user, meta = {}) {
+        const sessionId = crypto.randomUUID();
+        const refresh = this.signRefreshToken(user.id, sessionId);
+        const now = new Date().toISOString();
+
+        const { error } = await supabase
+            .from(this.table)
+            .insert([{
+                id: sessionId,
+                user_id: user.id,
+                refresh_token_id: refresh.tokenId,
+                user_agent: meta.userAgent ? meta.userAgent.substring(0, 500) : null,
+                ip_address: meta.ipAddress || null,
+                created_at: now,
+                last_used_at: now,
+                expires_at: refresh.expiresAt
+            }]);
+
+        if (error) {
+            return { data: null, error };
+        }
+
+        cacheSessionState(sessionId, { active: true, userId: user.id });
+
+        return {
+            data: {
+                sessionId,
+                token: this.signAccessToken(user, sessionId),
+                refreshToken: refresh.token,
+                refreshExpiresAt: refresh.expiresAt
+            },
+            error: null
+        };
+    }
+
+    // Rotacionar refresh token, detectando reuso
+    async rotate(refreshToken) {
+        let decoded;
+        try {
+            decoded = jwt.verify(refreshToken, getRefreshSecret());
+        } catch (error) {
+            return { data: null, error: { status: 401, message: 'Invalid refresh token' } };
+        }
+
+        if (decoded.type !== 'refresh' || !decoded.sessionId || !decoded.jti) {
+            return { data: null, error: { status: 401, message: 'Invalid refresh token' } };
+        }
+
+        const { data: session, error: fetchError } = await supabase
+            .from(this.table)
+            .select('*')
+            .eq('id', decoded.sessionId)
+            .eq('user_id', decoded.userId)
+            .single();
+
+        if (fetchError || !session || session.revoked_at) {
+            return { data: null, error: { status: 401, message: 'Session is no longer valid' } };
+        }
+
+        // Token antigo apresentado novamente: possível roubo, revogar a família inteira
+        if (session.refresh_token_id !== decoded.jti) {
+            await this.revokeSession(session.id, 'refresh_token_reuse');
+            console.warn(`[SECURITY] Refresh token reuse detected for session ${session.id} (user ${session.user_id})`);
+            return { data: null, error: { status: 401, message: 'Refresh token reuse detected, session revoked' } };
+        }
+
+        const { data: profile, error: profileError } = await supabase
+            .from('profiles')
+            .select('id, email, full_name, roles, disabled_at')
+            .eq('id', session.user_id)
+            .single();
+
+        if (profileError || !profile) {
+            return { data: null, error: { status: 401, message: 'User not found' } };
+        }
+
+        if (profile.disabled_at) {
+            return { data: null, error: { status: 403, message: 'Account disabled' } };
+        }
+
+        const refresh = this.signRefreshToken(session.user_id, session.id);
+
+        // Atualização condicional: só um refresh concorrente pode vencer
+        const { data: updated, error: updateError } = await supabase
+            .from(this.table)
+            .update({
+                refresh_token_id: refresh.tokenId,
+                last_used_at: new Date().toISOString(),
+                expires_at: refresh.expiresAt
+            })
+            .eq('id', session.id)
+            .eq('refresh_token_id', decoded.jti)
+            .is('revoked_at', null)
+            .select('id');
+
+        if (updateError) {
+            return { data: null, error: { status: 500, message: 'Failed to refresh session' } };
+        }
+
+        if (!updated || updated.length === 0) {
+            await this.revokeSession(session.id, 'refresh_token_reuse');
+            console.warn(`[SECURITY] Concurrent refresh token use for session ${session.id} (user ${session.user_id})`);
+            return { data: null, error: { status: 401, message: 'Refresh token reuse detected, session revoked' } };
+        }
+
+        const user = {
+            id: profile.id,
+            email: profile.email,
+            fullName: profile.full_name,
+            roles: normalizeRoles(profile.roles)
+        };
+
+        return {
+            data: {
+                sessionId: session.id,
+                user,
+                token: this.signAccessToken(user, session.id),
+                refreshToken: refresh.token,
+                refreshExpiresAt: refresh.expiresAt
+            },
+            error: null
+        };
+    }
+
+    // Revogar sessão (e todos os tokens da família)
+    async revokeSession(sessionId, reason = 'logout') {
+        const { error } = await supabase
+            .from(this.table)
+            .update({
+                revoked_at: new Date().toISOString(),
+                revoked_reason: reason
+            })
+            .eq('id', sessionId)
+            .is('revoked_at', null);
+
+        if (error) {
+            console.error('Session revoke error:', error);
+            return { error };
+        }
+
+        cacheSessionState(sessionId, { active: false });
+        return { error: null };
+    }
+
+    // Revogar todas as sessões do usuário, exceto a informada
+    async revokeOtherSessions(userId, keepSessionId = null, reason = 'logout_others') {
+        let query = supabase
+            .from(this.table)
+            .update({
+                revoked_at: new Date().toISOString(),
+                revoked_reason: reason
+            })
+            .eq('user_id', userId)
+            .is('revoked_at', null);
+
+        if (keepSessionId) {
+            query = query.neq('id', keepSessionId);
+        }
+
+        const { data: revoked, error } = await query.select('id');
+
+        if (error) {
+            console.error('Sessions revoke error:', error);
+            return { data: null, error };
+        }
+
+        revoked.forEach(session => cacheSessionState(session.id, { active: false }));
+        return { data: revoked.map(session => session.id), error: null };
+    }
+
+    // Listar sessões ativas do usuário
+    async listSessions(userId) {
+        const { data: sessions, error } = await supabase
+            .from(this.table)
+            .select('id, user_agent, ip_address, created_at, last_used_at, expires_at')
+            .eq('user_id', userId)
+            .is('revoked_at', null)
+            .gt('expires_at', new Date().toISOString())
+            .order('last_used_at', { ascending: false });
+
+        return { data: sessions, error };
+    }
+
+    // Buscar sessão do usuário
+    async getSession(userId, sessionId) {
+        const { data: session, error } = await supabase
+            .from(this.table)
+            .select('id, user_id, revoked_at')
+            .eq('id', sessionId)
+            .eq('user_id', userId)
+            .single();
+
+        return { data: session, error };
+    }
+
+    // Registrar atividade da sessão (no máximo uma escrita por minuto)
+    async touchSession(sessionId, meta = {}) {
+        const seenKey = `session_seen_${sessionId}`;
+        if (sessionCache.get(seenKey)) {
+            return;
+        }
+
+        try {
+            sessionCache.set(seenKey, true, 60);
+        } catch (error) {
+            console.error('Session cache error:', error.message);
+        }
+
+        const updateData = { last_used_at: new Date().toISOString() };
+        if (meta.ipAddress) {
+            updateData.ip_address = meta.ipAddress;
+        }
+
+        const { error } = await supabase
+            .from(this.table)
+            .update(updateData)
+            .eq('id', sessionId);
+
+        if (error) {
+            console.error('Session touch error:', error);
+        }
+    }
+
+    // Verificar se a sessão ainda está ativa
+    async isSessionActive(sessionId, userId) {
+        const cached = sessionCache.get(`session_${sessionId}`);
+        if (cached) {
+            return cached.active && cached.userId === userId;
+        }
+
+        const { data: session, error } = await supabase
+            .from(this.table)
+            .select('id, user_id, revoked_at, expires_at')
+            .eq('id', sessionId)
+            .single();
+
+        if (error || !session) {
+            return false;
+        }
+
+        const active = !session.revoked_at && new Date(session.expires_at) > new Date();
+        cacheSessionState(sessionId, { active, userId: session.user_id }, 300);
+
+        return active && session.user_id === userId;
+    }
+}
+
+// Instância global
+const sessionManager = new SessionManager();
+
+module.exports = {
+    SessionManager,
+    sessionManager
+};
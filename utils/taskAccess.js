@@ -0,0 +1,68 @@
+const { createClient } = require('@supabase/supabase-js');
+const { MATRIX_ROLES, hasMatrixRole, getMatrixRole } = require('./matrices');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Papel do usuário sobre a tarefa e se a matriz dela está arquivada
+const resolveTaskRole = async (task, userId) => {
+    if (!task.matrix_id) {
+        return { role: task.user_id === userId ? MATRIX_ROLES.OWNER : null, archived: false };
+    }
+
+    const { data: matrix } = await supabase
+        .from('matrices')
+        .select('id, user_id, archived_at')
+        .eq('id', task.matrix_id)
+        .single();
+
+    return {
+        role: matrix ? await getMatrixRole(matrix, userId) : null,
+        archived: !!(matrix && matrix.archived_at)
+    };
+};
+
+// Papel do usuário sobre a tarefa: dono da tarefa na matriz padrão,
+// ou o papel dele na matriz compartilhada
+const getTaskRole = async (task, userId) => (await resolveTaskRole(task, userId)).role;
+
+// Buscar tarefa exigindo um papel mínimo.
+// Sem acesso algum responde 404 (não revela a existência da tarefa).
+// Matrizes arquivadas são somente leitura.
+const getTaskAccess = async (taskId, userId, minRole = MATRIX_ROLES.VIEWER) => {
+    const { data: task, error } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('id', taskId)
+        .is('deleted_at', null)
+        .single();
+
+    if (error || !task) {
+        return { data: null, error: { status: 404, message: 'Task not found' } };
+    }
+
+    const { role, archived } = await resolveTaskRole(task, userId);
+
+    if (!role) {
+        return { data: null, error: { status: 404, message: 'Task not found' } };
+    }
+
+    if (!hasMatrixRole(role, minRole)) {
+        return { data: null, error: { status: 403, message: 'Insufficient matrix permissions' } };
+    }
+
+    if (archived && minRole !== MATRIX_ROLES.VIEWER) {
+        return { data: null, error: { status: 409, message: 'Matrix is archived' } };
+    }
+
+    return { data: { task, role }, error: null };
+};
+
+module.exports = {
+    resolveTaskRole,
+    getTaskRole,
+    getTaskAccess
+};
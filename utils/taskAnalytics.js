@@ -0,0 +1,223 @@
+// Métricas de produtividade para GET /api/tasks/analytics (calculadas em JS, sem views)
+
+const { dayKey } = require('./focusSessions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const GRANULARITIES = ['day', 'week', 'month'];
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const QUADRANTS = [1, 2, 3, 4];
+
+const emptyByQuadrant = () => ({ 1: 0, 2: 0, 3: 0, 4: 0 });
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Validar ?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month&tzOffset=minutos
+function parseAnalyticsQuery(query = {}, now = new Date()) {
+    const granularity = query.granularity || 'day';
+    if (!GRANULARITIES.includes(granularity)) {
+        return { isValid: false, error: `Invalid granularity (${GRANULARITIES.join(', ')})` };
+    }
+
+    const tzOffsetMinutes = query.tzOffset === undefined ? 0 : parseInt(query.tzOffset);
+    if (!Number.isInteger(tzOffsetMinutes) || tzOffsetMinutes < -720 || tzOffsetMinutes > 840) {
+        return { isValid: false, error: 'tzOffset must be between -720 and 840 minutes' };
+    }
+
+    const to = query.to || dayKey(now, tzOffsetMinutes);
+    const from = query.from || dayKey(new Date(new Date(`${to}T00:00:00Z`).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) ||
+        isNaN(new Date(from).getTime()) || isNaN(new Date(to).getTime())) {
+        return { isValid: false, error: 'from/to must be dates (YYYY-MM-DD)' };
+    }
+
+    const rangeDays = Math.round((new Date(to) - new Date(from)) / DAY_MS) + 1;
+    if (rangeDays < 1 || rangeDays > MAX_RANGE_DAYS) {
+        return { isValid: false, error: `Date range must cover 1 to ${MAX_RANGE_DAYS} days` };
+    }
+
+    // Limites do intervalo convertidos do fuso do usuário para UTC
+    const offsetMs = tzOffsetMinutes * 60 * 1000;
+
+    return {
+        isValid: true,
+        value: {
+            from,
+            to,
+            granularity,
+            tzOffsetMinutes,
+            rangeStart: new Date(new Date(`${from}T00:00:00Z`).getTime() - offsetMs),
+            rangeEnd: new Date(new Date(`${to}T00:00:00Z`).getTime() + DAY_MS - offsetMs)
+        }
+    };
+}
+
+// Período ao qual o dia pertence: o próprio dia, a segunda-feira da semana ou YYYY-MM
+const periodKey = (day, granularity) => {
+    if (granularity === 'month') return day.slice(0, 7);
+    if (granularity === 'week') {
+        const date = new Date(`${day}T00:00:00Z`);
+        return new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS).toISOString().slice(0, 10);
+    }
+    return day;
+};
+
+const inRange = (value, { rangeStart, rangeEnd }) => {
+    if (!value) return false;
+    const date = new Date(value);
+    return date >= rangeStart && date < rangeEnd;
+};
+
+// Criadas x concluídas por período e quadrante.
+// Conclusões usam o quadrante atual da tarefa (o histórico de quadrantes não é reconstruído).
+function buildSeries(tasks, range) {
+    const periods = {};
+    for (let time = new Date(`${range.from}T00:00:00Z`).getTime(); time <= new Date(`${range.to}T00:00:00Z`).getTime(); time += DAY_MS) {
+        const key = periodKey(new Date(time).toISOString().slice(0, 10), range.granularity);
+        periods[key] = periods[key] || {
+            period: key,
+            created: { total: 0, by_quadrant: emptyByQuadrant() },
+            completed: { total: 0, by_quadrant: emptyByQuadrant() }
+        };
+    }
+
+    const count = (bucket, task) => {
+        bucket.total++;
+        if (bucket.by_quadrant[task.quadrant] !== undefined) bucket.by_quadrant[task.quadrant]++;
+    };
+
+    const periodOf = (value) => periods[periodKey(dayKey(value, range.tzOffsetMinutes), range.granularity)];
+
+    tasks.forEach(task => {
+        if (inRange(task.created_at, range)) count(periodOf(task.created_at).created, task);
+        if (task.status === 'completed' && inRange(task.completed_at, range)) count(periodOf(task.completed_at).completed, task);
+    });
+
+    return Object.values(periods);
+}
+
+// Tempo médio (e mediana) entre created_at e completed_at das tarefas concluídas no intervalo
+function calculateTimeToComplete(tasks, range) {
+    const summarize = (group) => {
+        const hours = group
+            .map(task => (new Date(task.completed_at) - new Date(task.created_at)) / HOUR_MS)
+            .filter(value => value >= 0)
+            .sort((a, b) => a - b);
+
+        if (hours.length === 0) {
+            return { tasks: 0, average_hours: null, median_hours: null };
+        }
+
+        const middle = Math.floor(hours.length / 2);
+        return {
+            tasks: hours.length,
+            average_hours: round(hours.reduce((total, value) => total + value, 0) / hours.length),
+            median_hours: round(hours.length % 2 ? hours[middle] : (hours[middle - 1] + hours[middle]) / 2)
+        };
+    };
+
+    const completed = tasks.filter(task => task.status === 'completed' && inRange(task.completed_at, range));
+    const byQuadrant = {};
+    QUADRANTS.forEach(quadrant => {
+        byQuadrant[quadrant] = summarize(completed.filter(task => task.quadrant === quadrant));
+    });
+
+    return { ...summarize(completed), by_quadrant: byQuadrant };
+}
+
+// Taxa de atraso: tarefas com prazo vencido no intervalo que não foram concluídas até o prazo
+function calculateOverdueRate(tasks, range, now = new Date()) {
+    const due = tasks.filter(task => inRange(task.due_date, range) && new Date(task.due_date) < now);
+    const missed = due.filter(task => task.status !== 'completed' ||
+        !task.completed_at || new Date(task.completed_at) > new Date(task.due_date));
+
+    return {
+        tasks_due: due.length,
+        missed: missed.length,
+        still_open: missed.filter(task => task.status !== 'completed').length,
+        rate: due.length > 0 ? Math.round((missed.length / due.length) * 100) : 0
+    };
+}
+
+// Deriva entre quadrantes a partir de task_quadrant_moves
+function calculateQuadrantDrift(moves, tasks, range) {
+    const transitions = {};
+    const bySource = {};
+    const movedTasks = new Set();
+
+    moves.forEach(move => {
+        const key = `${move.from_quadrant}->${move.to_quadrant}`;
+        transitions[key] = transitions[key] || { from: move.from_quadrant, to: move.to_quadrant, count: 0 };
+        transitions[key].count++;
+        bySource[move.source] = (bySource[move.source] || 0) + 1;
+        movedTasks.add(move.task_id);
+    });
+
+    // Tarefas existentes em algum momento do intervalo
+    const activeTasks = tasks.filter(task => new Date(task.created_at) < range.rangeEnd &&
+        !(task.status === 'completed' && task.completed_at && new Date(task.completed_at) < range.rangeStart)).length;
+
+    return {
+        total_moves: moves.length,
+        by_source: bySource,
+        tasks_moved: movedTasks.size,
+        moved_share: activeTasks > 0 ? Math.round((movedTasks.size / activeTasks) * 100) : 0,
+        transitions: Object.values(transitions).sort((a, b) => b.count - a.count || a.from - b.from || a.to - b.to)
+    };
+}
+
+// Sequências de dias com pelo menos uma conclusão (todo o histórico, no fuso do usuário)
+function calculateStreaks(tasks, tzOffsetMinutes = 0, now = new Date()) {
+    const days = [...new Set(tasks
+        .filter(task => task.status === 'completed' && task.completed_at)
+        .map(task => dayKey(task.completed_at, tzOffsetMinutes)))]
+        .sort();
+
+    let longest = 0;
+    let longestEnd = null;
+    let run = 0;
+    days.forEach((day, index) => {
+        const consecutive = index > 0 && new Date(day) - new Date(days[index - 1]) === DAY_MS;
+        run = consecutive ? run + 1 : 1;
+        if (run > longest) {
+            longest = run;
+            longestEnd = day;
+        }
+    });
+
+    // A sequência atual continua viva se a última conclusão foi hoje ou ontem
+    const today = dayKey(now, tzOffsetMinutes);
+    const lastDay = days[days.length - 1] || null;
+    const alive = lastDay && new Date(today) - new Date(lastDay) <= DAY_MS;
+
+    return {
+        current_days: alive ? run : 0,
+        longest_days: longest,
+        longest_ended_on: longestEnd,
+        last_completion_day: lastDay
+    };
+}
+
+// `tasks`: tarefas que existiram no intervalo; `moves`: movimentações do intervalo;
+// `completions`: datas de conclusão de todo o histórico (para as sequências)
+function calculateAnalytics({ tasks, moves, completions }, range, now = new Date()) {
+    return {
+        from: range.from,
+        to: range.to,
+        granularity: range.granularity,
+        tzOffset: range.tzOffsetMinutes,
+        series: buildSeries(tasks, range),
+        time_to_complete: calculateTimeToComplete(tasks, range),
+        overdue: calculateOverdueRate(tasks, range, now),
+        quadrant_drift: calculateQuadrantDrift(moves, tasks, range),
+        streaks: calculateStreaks(completions, range.tzOffsetMinutes, now)
+    };
+}
+
+module.exports = {
+    GRANULARITIES,
+    parseAnalyticsQuery,
+    calculateAnalytics
+};
@@ -0,0 +1,418 @@
+const { createClient } = require('@supabase/supabase-js');
+const { validateBulkOperation } = require('./validation');
+const { moveTaskToQuadrant } = require('./taskMoves');
+const { MATRIX_ROLES, hasMatrixRole, resolveMatrix, getNextTaskNumber } = require('./matrices');
+const { resolveTaskRole } = require('./taskAccess');
+const { getTopPosition } = require('./taskPositions');
+const { createNextOccurrence } = require('./taskRecurrence');
+const { CHANGE_SOURCES, recordTaskChange } = require('./taskHistory');
+const { fetchOpenBlockers, notifyUnblocked } = require('./taskDependencies');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const MAX_BULK_OPERATIONS = 100;
+const OPERATIONS_PER_WEIGHT = 10; // cada 10 operações contam como 1 requisição no taskLimiter
+
+// Peso do lote no rate limiter
+const getBulkWeight = (operations) => {
+    if (!Array.isArray(operations)) return 1;
+    return Math.max(1, Math.ceil(Math.min(operations.length, MAX_BULK_OPERATIONS) / OPERATIONS_PER_WEIGHT));
+};
+
+// Validar o lote inteiro antes de executar qualquer operação
+function validateBulkOperations(operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return { isValid: false, error: 'operations must be a non-empty array' };
+    }
+
+    if (operations.length > MAX_BULK_OPERATIONS) {
+        return { isValid: false, error: `A maximum of ${MAX_BULK_OPERATIONS} operations is allowed per request` };
+    }
+
+    const seenIds = new Set();
+    const values = [];
+
+    const results = operations.map((operation, index) => {
+        const validation = validateBulkOperation(operation);
+        const op = operation && operation.op;
+
+        if (!validation.isValid) {
+            return { index, op, status: 'invalid', error: validation.error };
+        }
+
+        // Uma tarefa só pode aparecer uma vez no lote
+        const { id } = validation.value;
+        if (id !== undefined) {
+            if (seenIds.has(id)) {
+                return { index, op, id, status: 'invalid', error: 'Task appears in more than one operation' };
+            }
+            seenIds.add(id);
+        }
+
+        values.push(validation.value);
+        return { index, op, ...(id !== undefined && { id }), status: 'valid' };
+    });
+
+    const isValid = results.every(result => result.status === 'valid');
+
+    return {
+        isValid,
+        error: isValid ? null : 'Invalid bulk operations',
+        results,
+        value: isValid ? values : null
+    };
+}
+
+// Campos de atualização no mesmo formato do PUT /api/tasks/:id
+const buildUpdateData = (data) => {
+    const updateData = {};
+
+    if (data.title !== undefined) updateData.title = data.title.trim().substring(0, 200);
+    if (data.description !== undefined) {
+        updateData.description = data.description ? data.description.trim().substring(0, 1000) : null;
+    }
+    if (data.priority !== undefined) updateData.priority = data.priority;
+    if (data.estimateMinutes !== undefined) updateData.estimate_minutes = data.estimateMinutes;
+
+    if (data.dueDate !== undefined) {
+        updateData.due_date = data.dueDate ? new Date(data.dueDate).toISOString() : null;
+
+        // Novo prazo: reavaliar escalonamento e atraso
+        updateData.escalated_at = null;
+        updateData.overdue_at = null;
+    }
+
+    if (data.status !== undefined) {
+        updateData.status = data.status;
+        if (data.status === 'completed') {
+            updateData.completed_at = new Date().toISOString();
+        }
+    }
+
+    updateData.updated_at = new Date().toISOString();
+    return updateData;
+};
+
+const updateTask = async (task, updateData) => {
+    const { data, error } = await supabase
+        .from('tasks')
+        .update(updateData)
+        .eq('id', task.id)
+        .eq('user_id', task.user_id)
+        .select()
+        .single();
+
+    return { data, error: error ? { message: 'Failed to update task' } : null };
+};
+
+// `data.ownerId` é o dono da matriz de destino (resolvido antes de executar)
+const createTask = async (data) => {
+    const { data: nextNumber, error: numberError } = await getNextTaskNumber({
+        userId: data.ownerId,
+        quadrant: data.quadrant,
+        matrixId: data.matrixId
+    });
+
+    if (numberError) {
+        return { data: null, error: { message: 'Failed to generate task number' } };
+    }
+
+    const { data: position, error: positionError } = await getTopPosition({
+        userId: data.ownerId,
+        matrixId: data.matrixId,
+        quadrant: data.quadrant
+    });
+
+    if (positionError) {
+        return { data: null, error: { message: 'Failed to calculate position' } };
+    }
+
+    const { data: task, error } = await supabase
+        .from('tasks')
+        .insert([{
+            user_id: data.ownerId,
+            title: data.title.trim().substring(0, 200),
+            description: data.description ? data.description.trim().substring(0, 1000) : null,
+            quadrant: data.quadrant,
+            matrix_id: data.matrixId || null,
+            task_number: nextNumber,
+            position,
+            priority: data.priority || 'medium',
+            estimate_minutes: data.estimateMinutes ?? null,
+            due_date: data.dueDate ? new Date(data.dueDate).toISOString() : null,
+            status: data.status || 'pending',
+            completed_at: data.status === 'completed' ? new Date().toISOString() : null,
+            created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+    return { data: task, error: error ? { message: 'Failed to create task' } : null };
+};
+
+// Desfazer as operações já aplicadas (melhor esforço; o histórico de movimentos é mantido)
+const rollback = async (applied) => {
+    for (const change of [...applied].reverse()) {
+        const query = change.created
+            ? supabase.from('tasks').delete().eq('id', change.created.id).eq('user_id', change.created.user_id)
+            : (() => {
+                const { id, user_id, ...fields } = change.before;
+                return supabase.from('tasks').update(fields).eq('id', id).eq('user_id', user_id);
+            })();
+
+        const { error } = await query;
+        if (error) {
+            console.error('Bulk rollback error:', error);
+        }
+    }
+};
+
+// Tarefas alcançadas pelas operações já aplicadas
+const touchedBy = (applied) => applied.map(change => change.created || change.before);
+
+// Executar um lote já validado.
+// Criações, atualizações, movimentos e conclusões rodam primeiro e são revertidas
+// se alguma falhar; exclusões (para a lixeira) rodam por último em um único comando.
+// Tarefas de matrizes compartilhadas exigem papel de editor; `touched` lista as
+// tarefas alcançadas para que a rota invalide o cache de cada matriz.
+async function executeBulkOperations(operations, userId) {
+    const ids = operations.filter(operation => operation.id !== undefined).map(operation => operation.id);
+    const existing = new Map();
+
+    if (ids.length > 0) {
+        const { data: tasks, error } = await supabase
+            .from('tasks')
+            .select('*')
+            .is('deleted_at', null)
+            .in('id', ids);
+
+        if (error) {
+            console.error('Fetch bulk tasks error:', error);
+            return { data: null, error: { status: 500, message: 'Failed to fetch tasks' } };
+        }
+
+        // Papel verificado uma vez por matriz
+        const roles = new Map();
+        for (const task of tasks) {
+            const roleKey = task.matrix_id || `default:${task.user_id}`;
+            if (!roles.has(roleKey)) {
+                roles.set(roleKey, await resolveTaskRole(task, userId));
+            }
+            const { role, archived } = roles.get(roleKey);
+            if (role) {
+                existing.set(task.id, { task, role, archived });
+            }
+        }
+    }
+
+    const results = operations.map((operation, index) => ({
+        index,
+        op: operation.op,
+        ...(operation.id !== undefined && { id: operation.id }),
+        status: 'pending'
+    }));
+
+    // Todas as tarefas referenciadas devem existir antes de executar
+    const missing = results.filter(result => result.id !== undefined && !existing.has(result.id));
+    if (missing.length > 0) {
+        missing.forEach(result => {
+            result.status = 'invalid';
+            result.error = 'Task not found';
+        });
+        results.filter(result => result.status === 'pending').forEach(result => { result.status = 'valid'; });
+        return { data: null, error: { status: 404, message: 'Some tasks were not found', results } };
+    }
+
+    // Visualizadores não podem alterar tarefas da matriz
+    const forbidden = results.filter(result => result.id !== undefined &&
+        !hasMatrixRole(existing.get(result.id).role, MATRIX_ROLES.EDITOR));
+    if (forbidden.length > 0) {
+        forbidden.forEach(result => {
+            result.status = 'invalid';
+            result.error = 'Insufficient matrix permissions';
+        });
+        results.filter(result => result.status === 'pending').forEach(result => { result.status = 'valid'; });
+        return { data: null, error: { status: 403, message: 'Insufficient matrix permissions', results } };
+    }
+
+    // Matrizes arquivadas são somente leitura
+    const archived = results.filter(result => result.id !== undefined && existing.get(result.id).archived);
+    if (archived.length > 0) {
+        archived.forEach(result => {
+            result.status = 'invalid';
+            result.error = 'Matrix is archived';
+        });
+        results.filter(result => result.status === 'pending').forEach(result => { result.status = 'valid'; });
+        return { data: null, error: { status: 409, message: 'Matrix is archived', results } };
+    }
+
+    // Tarefas bloqueadas só podem ser concluídas junto com os bloqueadores no mesmo lote
+    const completes = (operation) => operation.op === 'complete' ||
+        (operation.op === 'update' && operation.data.status === 'completed');
+    const completingIds = operations.filter(completes).map(operation => operation.id);
+
+    if (completingIds.length > 0) {
+        const { data: blockersByTask, error: blockersError } = await fetchOpenBlockers(completingIds);
+
+        if (blockersError) {
+            console.error('Fetch bulk task blockers error:', blockersError);
+            return { data: null, error: { status: 500, message: 'Failed to fetch tasks' } };
+        }
+
+        completingIds.forEach(id => {
+            const stillOpen = (blockersByTask[id] || []).filter(blocker => !completingIds.includes(blocker.id));
+            if (stillOpen.length > 0) {
+                const result = results.find(item => item.id === id);
+                result.status = 'invalid';
+                result.error = 'Task is blocked by open tasks';
+            }
+        });
+
+        if (results.some(result => result.status === 'invalid')) {
+            results.filter(result => result.status === 'pending').forEach(result => { result.status = 'valid'; });
+            return { data: null, error: { status: 409, message: 'Some tasks are blocked by open tasks', results } };
+        }
+    }
+
+    // Matrizes de destino das criações devem existir, aceitar edição e não estar arquivadas
+    for (const [index, operation] of operations.entries()) {
+        if (operation.op !== 'create') continue;
+
+        const { data: matrix, error: matrixError } = await resolveMatrix(operation.data.matrixId, userId);
+        if (matrixError) {
+            results[index].status = 'invalid';
+            results[index].error = matrixError.message;
+            continue;
+        }
+        operation.data = { ...operation.data, matrixId: matrix.id, ownerId: matrix.ownerId };
+    }
+
+    if (results.some(result => result.status === 'invalid')) {
+        results.filter(result => result.status === 'pending').forEach(result => { result.status = 'valid'; });
+        return { data: null, error: { status: 400, message: 'Invalid bulk operations', results } };
+    }
+
+    const applied = [];
+    const completedTasks = [];
+
+    for (const [index, operation] of operations.entries()) {
+        if (operation.op === 'delete') continue;
+
+        const before = operation.id !== undefined ? existing.get(operation.id).task : null;
+        let outcome;
+
+        if (operation.op === 'create') {
+            outcome = await createTask(operation.data);
+        } else if (operation.op === 'update') {
+            outcome = await updateTask(before, buildUpdateData(operation.data));
+        } else if (operation.op === 'complete') {
+            outcome = await updateTask(before, buildUpdateData({ status: 'completed' }));
+        } else if (operation.op === 'move') {
+            outcome = before.quadrant === operation.quadrant
+                ? { data: before, error: null }
+                : await moveTaskToQuadrant(before, operation.quadrant, {
+                    userId: before.user_id,
+                    actorId: userId,
+                    reason: 'Bulk move',
+                    recordHistory: false
+                });
+        }
+
+        if (outcome.error) {
+            console.error(`Bulk operation ${index} (${operation.op}) failed:`, outcome.error.message);
+            await rollback(applied);
+
+            results.forEach(result => {
+                if (result.index === index) {
+                    result.status = 'failed';
+                    result.error = outcome.error.message;
+                } else {
+                    result.status = result.index < index ? 'rolled_back' : 'skipped';
+                }
+            });
+
+            return { data: null, error: { status: 500, message: 'Bulk operation failed', results, rolledBack: true, touched: touchedBy(applied) } };
+        }
+
+        applied.push(operation.op === 'create' ? { created: outcome.data } : { before });
+        results[index].status = 'ok';
+        results[index].task = outcome.data;
+        if (operation.op === 'create') results[index].id = outcome.data.id;
+
+        const wasCompleted = before && before.status === 'completed';
+        if (outcome.data.status === 'completed' && !wasCompleted) {
+            completedTasks.push(outcome.data);
+        }
+    }
+
+    const trashed = {};
+    const deleteIds = operations.filter(operation => operation.op === 'delete').map(operation => operation.id);
+    if (deleteIds.length > 0) {
+        // Exclusão move para a lixeira, como no DELETE /api/tasks/:id
+        const now = new Date().toISOString();
+        const { data: trashedTasks, error } = await supabase
+            .from('tasks')
+            .update({ deleted_at: now, updated_at: now })
+            .in('id', deleteIds)
+            .select();
+
+        if (error) {
+            console.error('Bulk delete error:', error);
+            await rollback(applied);
+
+            results.forEach(result => {
+                result.status = deleteIds.includes(result.id) && result.op === 'delete' ? 'failed' : 'rolled_back';
+                if (result.status === 'failed') result.error = 'Failed to delete task';
+                delete result.task;
+            });
+
+            return { data: null, error: { status: 500, message: 'Bulk operation failed', results, rolledBack: true, touched: touchedBy(applied) } };
+        }
+
+        results.filter(result => result.op === 'delete').forEach(result => { result.status = 'ok'; });
+        trashedTasks.forEach(task => { trashed[task.id] = task; });
+    }
+
+    // Histórico só é registrado depois que o lote inteiro foi aplicado
+    const actions = { create: 'created', update: 'updated', move: 'moved', complete: 'completed', delete: 'trashed' };
+    for (const [index, operation] of operations.entries()) {
+        const after = operation.op === 'delete' ? trashed[operation.id] : results[index].task;
+        if (!after) continue;
+
+        const before = operation.id !== undefined ? existing.get(operation.id).task : null;
+        await recordTaskChange(before, after, {
+            actorId: userId,
+            action: actions[operation.op],
+            source: CHANGE_SOURCES.BULK
+        });
+    }
+
+    // Ocorrências recorrentes concluídas geram as próximas e dependentes
+    // podem ficar desbloqueadas (fora da reversão)
+    const nextOccurrences = [];
+    for (const task of completedTasks) {
+        if (task.recurrence) {
+            const nextTask = await createNextOccurrence(task, task.user_id);
+            if (nextTask) nextOccurrences.push(nextTask);
+        }
+        await notifyUnblocked(task);
+    }
+
+    const touched = [
+        ...touchedBy(applied),
+        ...Object.values(trashed)
+    ];
+
+    return { data: { results, nextOccurrences, touched }, error: null };
+}
+
+module.exports = {
+    MAX_BULK_OPERATIONS,
+    getBulkWeight,
+    validateBulkOperations,
+    executeBulkOperations
+};
@@ -0,0 +1,103 @@
+const { createClient } = require('@supabase/supabase-js');
+const { sanitizeHtml } = require('./validation');
+const { listMatrixUserIds } = require('./matrices');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// @fulano ou @fulano@empresa.com (parte local ou e-mail completo do usuário)
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+// Validar e sanitizar o texto do comentário
+function validateComment(body) {
+    if (typeof body !== 'string' || !body.trim()) {
+        return { isValid: false, error: 'Comment body is required' };
+    }
+
+    const sanitized = sanitizeHtml(body.trim()).trim();
+    if (!sanitized) {
+        return { isValid: false, error: 'Comment body is required' };
+    }
+
+    if (sanitized.length > MAX_COMMENT_LENGTH) {
+        return { isValid: false, error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` };
+    }
+
+    return { isValid: true, value: sanitized };
+}
+
+// Menções escritas no texto, sem duplicatas e em minúsculas
+function extractMentions(body) {
+    const handles = new Set();
+    for (const match of body.matchAll(MENTION_PATTERN)) {
+        handles.add(match[2].replace(/\.+$/, '').toLowerCase());
+    }
+    return [...handles];
+}
+
+// Ids de quem enxerga a tarefa: dono na matriz padrão, dono + membros na compartilhada
+async function listTaskUserIds(task) {
+    return task.matrix_id ? listMatrixUserIds(task.matrix_id) : [task.user_id];
+}
+
+// Resolver menções apenas entre usuários com acesso à tarefa (as demais são ignoradas)
+async function resolveMentions(body, task) {
+    const handles = extractMentions(body);
+    if (handles.length === 0) {
+        return { data: [], error: null };
+    }
+
+    const { data: profiles, error } = await supabase
+        .from('profiles')
+        .select('id, email, full_name')
+        .in('id', await listTaskUserIds(task));
+
+    if (error) {
+        console.error('Fetch mention profiles error:', error);
+        return { data: null, error: { status: 500, message: 'Failed to resolve mentions' } };
+    }
+
+    const mentioned = profiles.filter(profile => {
+        const email = (profile.email || '').toLowerCase();
+        return handles.includes(email) || handles.includes(email.split('@')[0]);
+    });
+
+    return { data: mentioned, error: null };
+}
+
+// Quantidade de comentários de cada tarefa: { [taskId]: n }
+async function countCommentsForTasks(taskIds) {
+    if (taskIds.length === 0) {
+        return { data: {}, error: null };
+    }
+
+    const { data: comments, error } = await supabase
+        .from('task_comments')
+        .select('task_id')
+        .in('task_id', taskIds)
+        .is('deleted_at', null);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    const counts = {};
+    comments.forEach(comment => {
+        counts[comment.task_id] = (counts[comment.task_id] || 0) + 1;
+    });
+
+    return { data: counts, error: null };
+}
+
+module.exports = {
+    MAX_COMMENT_LENGTH,
+    validateComment,
+    extractMentions,
+    resolveMentions,
+    countCommentsForTasks
+};
@@ -0,0 +1,175 @@
+const { createClient } = require('@supabase/supabase-js');
+const { sendMail, templates } = require('./mailer');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const MAX_BLOCKERS_PER_TASK = 20;
+const MAX_CYCLE_DEPTH = 50;
+
+// Bloqueador aberto: não concluído e fora da lixeira
+const isOpenBlocker = (blocker) => !!blocker && blocker.status !== 'completed' && !blocker.deleted_at;
+
+// Bloqueadores abertos de cada tarefa: { [taskId]: [{ id, title, status, ... }] }
+async function fetchOpenBlockers(taskIds) {
+    if (taskIds.length === 0) {
+        return { data: {}, error: null };
+    }
+
+    const { data: links, error } = await supabase
+        .from('task_dependencies')
+        .select('task_id, blocker:tasks!blocked_by_task_id(id, title, status, quadrant, task_number, deleted_at)')
+        .in('task_id', taskIds);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    const blockersByTask = {};
+    links.filter(link => isOpenBlocker(link.blocker)).forEach(link => {
+        const { deleted_at, ...blocker } = link.blocker;
+        (blockersByTask[link.task_id] = blockersByTask[link.task_id] || []).push(blocker);
+    });
+
+    return { data: blockersByTask, error: null };
+}
+
+// Incluir `blocked` e `blocked_by` (ids dos bloqueadores abertos) nas tarefas
+async function attachBlockedState(tasks) {
+    const { data: blockersByTask, error } = await fetchOpenBlockers(tasks.map(task => task.id));
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return {
+        data: tasks.map(task => {
+            const blockers = blockersByTask[task.id] || [];
+            return { ...task, blocked: blockers.length > 0, blocked_by: blockers.map(blocker => blocker.id) };
+        }),
+        error: null
+    };
+}
+
+// `blockerId` bloquear `taskId` fecha um ciclo se `taskId` já bloqueia `blockerId`
+// (direta ou indiretamente). Percorre a cadeia de bloqueadores a partir de `blockerId`.
+async function wouldCreateCycle(taskId, blockerId) {
+    if (taskId === blockerId) {
+        return { data: true, error: null };
+    }
+
+    const visited = new Set([blockerId]);
+    let frontier = [blockerId];
+
+    for (let depth = 0; frontier.length > 0 && depth < MAX_CYCLE_DEPTH; depth++) {
+        const { data: links, error } = await supabase
+            .from('task_dependencies')
+            .select('blocked_by_task_id')
+            .in('task_id', frontier);
+
+        if (error) {
+            return { data: null, error };
+        }
+
+        const next = [];
+        for (const { blocked_by_task_id: id } of links) {
+            if (id === taskId) {
+                return { data: true, error: null };
+            }
+            if (!visited.has(id)) {
+                visited.add(id);
+                next.push(id);
+            }
+        }
+        frontier = next;
+    }
+
+    // Cadeia maior que o limite não foi verificada até o fim: recusar em vez de arriscar um ciclo
+    if (frontier.length > 0) {
+        return { data: null, error: { status: 409, message: `Dependency chain is too deep (max ${MAX_CYCLE_DEPTH} levels)` } };
+    }
+
+    return { data: false, error: null };
+}
+
+// Avisar dono e responsável das tarefas que ficaram sem bloqueadores abertos
+// depois que `task` foi concluída (ou saiu do caminho). Retorna os ids desbloqueados.
+async function notifyUnblocked(task) {
+    const { data: links, error } = await supabase
+        .from('task_dependencies')
+        .select('task_id')
+        .eq('blocked_by_task_id', task.id);
+
+    if (error) {
+        console.error('Fetch dependent tasks error:', error);
+        return [];
+    }
+
+    const dependentIds = [...new Set(links.map(link => link.task_id))];
+    if (dependentIds.length === 0) {
+        return [];
+    }
+
+    const { data: blockersByTask, error: blockersError } = await fetchOpenBlockers(dependentIds);
+
+    if (blockersError) {
+        console.error('Fetch open blockers error:', blockersError);
+        return [];
+    }
+
+    const { data: dependents, error: dependentsError } = await supabase
+        .from('tasks')
+        .select('id, title, user_id, assignee_id')
+        .in('id', dependentIds.filter(id => !blockersByTask[id]))
+        .is('deleted_at', null)
+        .neq('status', 'completed');
+
+    if (dependentsError) {
+        console.error('Fetch unblocked tasks error:', dependentsError);
+        return [];
+    }
+
+    if (dependents.length === 0) {
+        return [];
+    }
+
+    const recipientIds = [...new Set(dependents.flatMap(dependent => [dependent.user_id, dependent.assignee_id]).filter(Boolean))];
+    const { data: profiles } = await supabase
+        .from('profiles')
+        .select('id, email, full_name')
+        .in('id', recipientIds);
+
+    const profileById = Object.fromEntries((profiles || []).map(profile => [profile.id, profile]));
+
+    for (const dependent of dependents) {
+        console.log(`Task unblocked: ${dependent.id} (blocker ${task.id} done)`);
+
+        for (const recipientId of new Set([dependent.user_id, dependent.assignee_id].filter(Boolean))) {
+            const profile = profileById[recipientId];
+            if (!profile || !profile.email) continue;
+
+            await sendMail({
+                to: profile.email,
+                ...templates.taskUnblockedEmail({
+                    fullName: profile.full_name,
+                    taskTitle: dependent.title,
+                    taskId: dependent.id,
+                    blockerTitle: task.title
+                })
+            });
+        }
+    }
+
+    return dependents.map(dependent => dependent.id);
+}
+
+module.exports = {
+    MAX_BLOCKERS_PER_TASK,
+    fetchOpenBlockers,
+    attachBlockedState,
+    wouldCreateCycle,
+    notifyUnblocked
+};
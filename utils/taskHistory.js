@@ -0,0 +1,142 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Origem das alterações registradas no histórico
+const CHANGE_SOURCES = {
+    USER: 'user',
+    ESCALATION: 'escalation',
+    RECURRENCE: 'recurrence',
+    AUTO_COMPLETE: 'auto_complete',
+    BULK: 'bulk'
+};
+
+// Campos acompanhados no histórico (e guardados no snapshot de cada versão)
+const TRACKED_FIELDS = [
+    'title',
+    'description',
+    'matrix_id',
+    'assignee_id',
+    'quadrant',
+    'task_number',
+    'priority',
+    'estimate_minutes',
+    'status',
+    'due_date',
+    'completed_at',
+    'auto_complete_subtasks',
+    'escalation_opt_out',
+    'recurrence',
+    'deleted_at'
+];
+
+// Campos restaurados ao reverter para uma versão (número, série e lixeira ficam de fora)
+const REVERTIBLE_FIELDS = [
+    'title',
+    'description',
+    'quadrant',
+    'priority',
+    'estimate_minutes',
+    'status',
+    'due_date',
+    'completed_at',
+    'auto_complete_subtasks',
+    'escalation_opt_out'
+];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Lista de { field, oldValue, newValue } entre dois estados da tarefa
+const diffTask = (before, after) => {
+    return TRACKED_FIELDS
+        .filter(field => !before || !sameValue(before[field], after[field]))
+        .filter(field => before || (after[field] !== undefined && after[field] !== null))
+        .map(field => ({
+            field,
+            oldValue: before ? before[field] ?? null : null,
+            newValue: after[field] ?? null
+        }));
+};
+
+const snapshotTask = (task) => {
+    return TRACKED_FIELDS.reduce((snapshot, field) => ({ ...snapshot, [field]: task[field] ?? null }), {});
+};
+
+// Registrar uma nova versão da tarefa (falha aqui não desfaz a alteração)
+const recordTaskChange = async (before, after, { actorId = null, action, source = CHANGE_SOURCES.USER, details = null }) => {
+    const changes = diffTask(before, after);
+
+    if (before && changes.length === 0) {
+        return { data: null, error: null };
+    }
+
+    const { data: version, error } = await supabase
+        .from('task_history')
+        .insert([{
+            task_id: after.id,
+            user_id: after.user_id,
+            actor_id: actorId,
+            action,
+            source,
+            changes,
+            snapshot: snapshotTask(after),
+            details,
+            created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Record task history error:', error);
+        return { data: null, error };
+    }
+
+    return { data: version, error: null };
+};
+
+// Histórico de versões da tarefa, mais recente primeiro
+const listTaskHistory = async (taskId, userId, { limit = 50 } = {}) => {
+    const { data, error } = await supabase
+        .from('task_history')
+        .select('*')
+        .eq('task_id', taskId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    return { data, error };
+};
+
+const getTaskVersion = async (taskId, userId, versionId) => {
+    const { data, error } = await supabase
+        .from('task_history')
+        .select('*')
+        .eq('id', versionId)
+        .eq('task_id', taskId)
+        .eq('user_id', userId)
+        .single();
+
+    return { data, error };
+};
+
+// Campos que precisam mudar para a tarefa voltar ao estado do snapshot
+const buildRevertUpdate = (task, snapshot) => {
+    return REVERTIBLE_FIELDS
+        .filter(field => field in snapshot && !sameValue(task[field], snapshot[field]))
+        .reduce((update, field) => ({ ...update, [field]: snapshot[field] }), {});
+};
+
+module.exports = {
+    CHANGE_SOURCES,
+    TRACKED_FIELDS,
+    REVERTIBLE_FIELDS,
+    diffTask,
+    recordTaskChange,
+    listTaskHistory,
+    getTaskVersion,
+    buildRevertUpdate
+};
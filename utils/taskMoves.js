@@ -0,0 +1,94 @@
+const { createClient } = require('@supabase/supabase-js');
+const { recordTaskChange } = require('./taskHistory');
+const { getNextTaskNumber } = require('./matrices');
+const { getTopPosition } = require('./taskPositions');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Origem das movimentações entre quadrantes
+const MOVE_SOURCES = {
+    USER: 'user',
+    ESCALATION: 'escalation'
+};
+
+// Mover tarefa para outro quadrante com novo número e registrar o motivo.
+// `userId` é o dono da tarefa; `actorId` quem moveu (padrão: o dono, em movimentos manuais).
+// Sem `extraUpdate.position`, a tarefa entra no topo do quadrante de destino.
+// `recordHistory: false` deixa o registro no histórico de versões para quem chamou.
+const moveTaskToQuadrant = async (task, quadrant, { userId, actorId, source = MOVE_SOURCES.USER, reason = null, extraUpdate = {}, recordHistory = true }) => {
+    // Obter novo número da tarefa (na matriz de destino, se também mudar de matriz)
+    const matrixId = extraUpdate.matrix_id !== undefined ? extraUpdate.matrix_id : task.matrix_id;
+    const { data: nextNumber, error: numberError } = await getNextTaskNumber({ userId, quadrant, matrixId });
+
+    if (numberError) {
+        console.error('Get next task number error:', numberError);
+        return { data: null, error: { message: 'Failed to generate task number' } };
+    }
+
+    let position = extraUpdate.position;
+    if (position === undefined) {
+        const { data: topPosition, error: positionError } = await getTopPosition({ userId, matrixId, quadrant });
+
+        if (positionError) {
+            console.error('Get top position error:', positionError);
+            return { data: null, error: { message: 'Failed to calculate position' } };
+        }
+        position = topPosition;
+    }
+
+    const { data: movedTask, error } = await supabase
+        .from('tasks')
+        .update({
+            ...extraUpdate,
+            quadrant: quadrant,
+            task_number: nextNumber,
+            position,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', task.id)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Move task error:', error);
+        return { data: null, error: { message: 'Failed to move task' } };
+    }
+
+    // Registrar movimentação (falha aqui não desfaz o movimento)
+    const { error: logError } = await supabase
+        .from('task_quadrant_moves')
+        .insert([{
+            task_id: task.id,
+            user_id: userId,
+            from_quadrant: task.quadrant,
+            to_quadrant: quadrant,
+            source,
+            reason,
+            created_at: new Date().toISOString()
+        }]);
+
+    if (logError) {
+        console.error('Record task move error:', logError);
+    }
+
+    if (recordHistory) {
+        await recordTaskChange(task, movedTask, {
+            actorId: actorId !== undefined ? actorId : (source === MOVE_SOURCES.USER ? userId : null),
+            action: 'moved',
+            source,
+            details: reason ? { reason } : null
+        });
+    }
+
+    return { data: movedTask, error: null };
+};
+
+module.exports = {
+    MOVE_SOURCES,
+    moveTaskToQuadrant
+};
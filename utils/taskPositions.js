@@ -0,0 +1,132 @@
+const { createClient } = require('@supabase/supabase-js');
+const { sortTasks } = require('./taskQuery');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Posições são números com folga entre si: inserir entre duas tarefas usa o
+// ponto médio e só a tarefa movida é gravada. Quando a folga acaba (ou há
+// tarefas antigas sem posição), o quadrante é renumerado uma vez.
+const POSITION_GAP = 1024;
+const MIN_POSITION_GAP = 1e-6;
+
+// Tarefas de um quadrante: { userId, matrixId, quadrant } (matriz padrão = matrixId null)
+const scopeQuery = (query, { userId, matrixId, quadrant }) => {
+    const scoped = matrixId ? query.eq('matrix_id', matrixId) : query.eq('user_id', userId).is('matrix_id', null);
+    return scoped.eq('quadrant', quadrant).is('deleted_at', null);
+};
+
+// Tarefas do quadrante na ordem de exibição
+const listQuadrantOrder = async (scope) => {
+    const { data: tasks, error } = await scopeQuery(
+        supabase.from('tasks').select('id, position, created_at'),
+        scope
+    );
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return { data: sortTasks(tasks, 'position', 'asc'), error: null };
+};
+
+// Posição no topo do quadrante (tarefas novas e movidas entram no topo)
+const getTopPosition = async (scope) => {
+    const { data: first, error } = await scopeQuery(
+        supabase.from('tasks').select('position'),
+        scope
+    )
+        .not('position', 'is', null)
+        .order('position', { ascending: true })
+        .limit(1);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return { data: first.length > 0 ? first[0].position - POSITION_GAP : 0, error: null };
+};
+
+// Regravar as posições da lista com espaçamento uniforme
+const rebalance = async (tasks) => {
+    const rebalanced = [];
+
+    for (const [index, task] of tasks.entries()) {
+        const position = (index + 1) * POSITION_GAP;
+
+        if (task.position !== position) {
+            const { error } = await supabase
+                .from('tasks')
+                .update({ position })
+                .eq('id', task.id);
+
+            if (error) {
+                return { data: null, error };
+            }
+        }
+        rebalanced.push({ ...task, position });
+    }
+
+    return { data: rebalanced, error: null };
+};
+
+const positionBetween = (previous, next) => {
+    if (!previous && !next) return 0;
+    if (!previous) return next.position - POSITION_GAP;
+    if (!next) return previous.position + POSITION_GAP;
+    return (previous.position + next.position) / 2;
+};
+
+// Calcular a posição de `taskId` no quadrante `scope` a partir de
+// `index` (0 = topo), `beforeTaskId` ou `afterTaskId`
+const resolvePosition = async (scope, taskId, { index, beforeTaskId, afterTaskId }) => {
+    const { data: ordered, error } = await listQuadrantOrder(scope);
+
+    if (error) {
+        console.error('Fetch quadrant order error:', error);
+        return { data: null, error: { status: 500, message: 'Failed to calculate position' } };
+    }
+
+    let others = ordered.filter(task => task.id !== taskId);
+
+    let target;
+    if (index !== undefined) {
+        target = Math.min(Math.max(index, 0), others.length);
+    } else {
+        const anchorId = beforeTaskId || afterTaskId;
+        const anchorIndex = others.findIndex(task => task.id === anchorId);
+
+        if (anchorIndex === -1) {
+            return { data: null, error: { status: 400, message: 'Reference task must be in the same quadrant' } };
+        }
+        target = beforeTaskId ? anchorIndex : anchorIndex + 1;
+    }
+
+    const needsRebalance = (list) => {
+        if (list.some(task => task.position === null || task.position === undefined)) return true;
+        const previous = list[target - 1];
+        const next = list[target];
+        return !!previous && !!next && next.position - previous.position < MIN_POSITION_GAP;
+    };
+
+    if (needsRebalance(others)) {
+        const { data: rebalanced, error: rebalanceError } = await rebalance(others);
+
+        if (rebalanceError) {
+            console.error('Rebalance positions error:', rebalanceError);
+            return { data: null, error: { status: 500, message: 'Failed to calculate position' } };
+        }
+        others = rebalanced;
+    }
+
+    return { data: positionBetween(others[target - 1], others[target]), error: null };
+};
+
+module.exports = {
+    POSITION_GAP,
+    getTopPosition,
+    resolvePosition
+};
@@ -0,0 +1,237 @@
+// Filtros, ordenação e paginação por cursor para GET /api/tasks
+
+const STATUSES = ['pending', 'in_progress', 'completed'];
+const PRIORITIES = ['low', 'medium', 'high'];
+const QUADRANTS = [1, 2, 3, 4];
+const SORT_FIELDS = ['position', 'created_at', 'updated_at', 'due_date', 'priority', 'title', 'task_number'];
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 };
+const MAX_LIMIT = 100;
+
+// Aceita "a,b" ou ["a", "b"]
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+};
+
+const parseDate = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const encodeCursor = (quadrant, task, sort) => {
+    return Buffer.from(JSON.stringify({ q: quadrant, v: task[sort] ?? null, c: task.created_at, id: task.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return QUADRANTS.includes(decoded.q) && decoded.id ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Validar e normalizar a query string
+function parseTaskQuery(query = {}) {
+    const filters = {};
+
+    const status = toList(query.status);
+    if (status) {
+        if (status.some(s => !STATUSES.includes(s))) {
+            return { isValid: false, error: `Invalid status (${STATUSES.join(', ')})` };
+        }
+        filters.status = [...new Set(status)].sort();
+    }
+
+    const priority = toList(query.priority);
+    if (priority) {
+        if (priority.some(p => !PRIORITIES.includes(p))) {
+            return { isValid: false, error: `Invalid priority (${PRIORITIES.join(', ')})` };
+        }
+        filters.priority = [...new Set(priority)].sort();
+    }
+
+    const quadrant = toList(query.quadrant);
+    if (quadrant) {
+        const quadrants = quadrant.map(Number);
+        if (quadrants.some(q => !QUADRANTS.includes(q))) {
+            return { isValid: false, error: 'Invalid quadrant (1-4)' };
+        }
+        filters.quadrant = [...new Set(quadrants)].sort();
+    }
+
+    // Matriz: id ou "default" (tarefas sem matriz)
+    if (query.matrixId !== undefined) {
+        if (typeof query.matrixId !== 'string' || !query.matrixId.trim()) {
+            return { isValid: false, error: 'Invalid matrixId' };
+        }
+        filters.matrixId = query.matrixId.trim();
+    }
+
+    // Ids de tags (tarefas com qualquer uma delas)
+    const tags = toList(query.tags);
+    if (tags) {
+        filters.tags = [...new Set(tags)].sort();
+    }
+
+    const dueFrom = parseDate(query.dueFrom);
+    const dueTo = parseDate(query.dueTo);
+    if (dueFrom === null || dueTo === null) {
+        return { isValid: false, error: 'dueFrom/dueTo must be valid dates' };
+    }
+    if (dueFrom) filters.dueFrom = dueFrom;
+    if (dueTo) filters.dueTo = dueTo;
+
+    if (query.overdue !== undefined) {
+        if (!['true', 'false'].includes(String(query.overdue))) {
+            return { isValid: false, error: 'overdue must be true or false' };
+        }
+        if (String(query.overdue) === 'true') filters.overdue = true;
+    }
+
+    const search = query.search ?? query.q;
+    if (search !== undefined && String(search).trim()) {
+        // Remover caracteres com significado no filtro do PostgREST
+        const term = String(search).trim().replace(/[%,()*\\]/g, ' ').substring(0, 100).trim();
+        if (term) filters.search = term;
+    }
+
+    // Padrão: ordem manual do usuário
+    const sort = query.sort || 'position';
+    if (!SORT_FIELDS.includes(sort)) {
+        return { isValid: false, error: `Invalid sort field (${SORT_FIELDS.join(', ')})` };
+    }
+
+    const order = query.order || (sort === 'created_at' || sort === 'updated_at' ? 'desc' : 'asc');
+    if (!['asc', 'desc'].includes(order)) {
+        return { isValid: false, error: 'Invalid order (asc, desc)' };
+    }
+
+    let limit = null;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return { isValid: false, error: `limit must be between 1 and ${MAX_LIMIT}` };
+        }
+    }
+
+    // Um cursor por quadrante (cada cursor sabe a qual quadrante pertence)
+    const cursors = {};
+    for (const raw of toList(query.cursor) || []) {
+        const cursor = decodeCursor(raw);
+        if (!cursor) {
+            return { isValid: false, error: 'Invalid cursor' };
+        }
+        cursors[cursor.q] = cursor;
+    }
+
+    if (Object.keys(cursors).length > 0 && !limit) {
+        return { isValid: false, error: 'cursor requires limit' };
+    }
+
+    return {
+        isValid: true,
+        value: { filters, sort, order, limit, cursors }
+    };
+}
+
+// Aplicar filtros na consulta do Supabase.
+// O filtro de tags chega resolvido em `taskIds` (ids das tarefas com as tags).
+function applyTaskFilters(query, filters, now = new Date(), taskIds = null) {
+    if (taskIds) query = query.in('id', taskIds);
+    if (filters.status) query = query.in('status', filters.status);
+    if (filters.priority) query = query.in('priority', filters.priority);
+    if (filters.quadrant) query = query.in('quadrant', filters.quadrant);
+    if (filters.dueFrom) query = query.gte('due_date', filters.dueFrom);
+    if (filters.dueTo) query = query.lte('due_date', filters.dueTo);
+
+    if (filters.overdue) {
+        query = query
+            .lt('due_date', now.toISOString())
+            .neq('status', 'completed');
+    }
+
+    if (filters.search) {
+        query = query.or(`title.ilike.%${filters.search}%,description.ilike.%${filters.search}%`);
+    }
+
+    return query;
+}
+
+// Comparador estável: valores nulos sempre no fim, desempate por id.
+// Tarefas ainda sem posição manual ficam no fim, das mais novas para as mais antigas.
+function compareTasks(a, b, sort, order) {
+    const direction = order === 'asc' ? 1 : -1;
+    let va = a[sort];
+    let vb = b[sort];
+
+    if (sort === 'priority') {
+        va = PRIORITY_RANK[va] ?? null;
+        vb = PRIORITY_RANK[vb] ?? null;
+    }
+
+    const aNull = va === null || va === undefined;
+    const bNull = vb === null || vb === undefined;
+
+    if (aNull !== bNull) return aNull ? 1 : -1;
+    if (aNull && sort === 'position') return compareTasks(a, b, 'created_at', 'desc');
+
+    if (!aNull && va !== vb) {
+        if (sort === 'title') {
+            return direction * String(va).localeCompare(String(vb), 'pt-BR', { sensitivity: 'base' });
+        }
+        return direction * (va < vb ? -1 : 1);
+    }
+
+    return String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0;
+}
+
+function sortTasks(tasks, sort, order) {
+    return [...tasks].sort((a, b) => compareTasks(a, b, sort, order));
+}
+
+// Paginar uma lista já ordenada a partir do cursor
+function paginate(tasks, quadrant, { sort, order, limit, cursors }) {
+    let start = 0;
+    const cursor = cursors[quadrant];
+
+    if (cursor) {
+        const anchor = { id: cursor.id, created_at: cursor.c, [sort]: cursor.v };
+        start = tasks.findIndex(task => compareTasks(task, anchor, sort, order) > 0);
+        if (start === -1) start = tasks.length;
+    }
+
+    const page = tasks.slice(start, start + limit);
+    const hasMore = start + limit < tasks.length;
+
+    return {
+        items: page,
+        pageInfo: {
+            total: tasks.length,
+            hasMore,
+            nextCursor: hasMore && page.length > 0 ? encodeCursor(quadrant, page[page.length - 1], sort) : null
+        }
+    };
+}
+
+// Chave de cache derivada da query normalizada
+function taskQueryCacheKey(parsed) {
+    return JSON.stringify({
+        filters: parsed.filters,
+        sort: parsed.sort,
+        order: parsed.order,
+        limit: parsed.limit,
+        cursors: Object.keys(parsed.cursors).sort().map(q => [q, parsed.cursors[q].v, parsed.cursors[q].id])
+    });
+}
+
+module.exports = {
+    SORT_FIELDS,
+    parseTaskQuery,
+    applyTaskFilters,
+    sortTasks,
+    paginate,
+    taskQueryCacheKey
+};
@@ -0,0 +1,157 @@
+const { createClient } = require('@supabase/supabase-js');
+const { nextOccurrence } = require('./recurrence');
+const { getNextTaskNumber } = require('./matrices');
+const { getTopPosition } = require('./taskPositions');
+const { CHANGE_SOURCES, recordTaskChange } = require('./taskHistory');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+// Campos da tarefa usados como modelo para as próximas ocorrências
+const buildRecurrenceTemplate = (task) => ({
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    quadrant: task.quadrant
+});
+
+// Criar a próxima ocorrência de uma tarefa recorrente concluída
+const createNextOccurrence = async (task, userId) => {
+    const rule = task.recurrence;
+    const template = rule.template || buildRecurrenceTemplate(task);
+    let index = task.occurrence_index || 1;
+
+    // Reabrir e concluir de novo não gera outra cópia: a série já avançou além desta ocorrência
+    const { data: later, error: laterError } = await supabase
+        .from('tasks')
+        .select('id')
+        .eq('series_id', task.series_id)
+        .gt('occurrence_index', index)
+        .limit(1);
+
+    if (laterError) {
+        console.error('Fetch later occurrences error:', laterError);
+        return null;
+    }
+
+    if (later.length > 0) {
+        return null;
+    }
+    let nextDate = nextOccurrence(rule, task.due_date || task.created_at, index);
+
+    // Ocorrências que ficaram no passado são puladas (contam para o limite "count")
+    const startOfToday = new Date();
+    startOfToday.setUTCHours(0, 0, 0, 0);
+    while (nextDate && nextDate < startOfToday) {
+        index++;
+        nextDate = nextOccurrence(rule, nextDate, index);
+    }
+
+    if (!nextDate) {
+        console.log(`Recurring series ended: ${task.series_id} for user ${userId}`);
+        return null;
+    }
+
+    const { data: nextNumber, error: numberError } = await getNextTaskNumber({
+        userId,
+        quadrant: template.quadrant,
+        matrixId: task.matrix_id
+    });
+
+    if (numberError) {
+        console.error('Get next task number error:', numberError);
+        return null;
+    }
+
+    const { data: position, error: positionError } = await getTopPosition({
+        userId,
+        matrixId: task.matrix_id,
+        quadrant: template.quadrant
+    });
+
+    if (positionError) {
+        console.error('Get top position error:', positionError);
+        return null;
+    }
+
+    const { data: nextTask, error } = await supabase
+        .from('tasks')
+        .insert([{
+            user_id: userId,
+            title: template.title,
+            description: template.description,
+            quadrant: template.quadrant,
+            matrix_id: task.matrix_id || null,
+            assignee_id: task.assignee_id || null,
+            task_number: nextNumber,
+            position,
+            priority: template.priority || 'medium',
+            estimate_minutes: task.estimate_minutes ?? null,
+            due_date: nextDate.toISOString(),
+            status: 'pending',
+            auto_complete_subtasks: task.auto_complete_subtasks,
+            recurrence: rule,
+            series_id: task.series_id,
+            occurrence_index: index + 1,
+            created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Create next occurrence error:', error);
+        return null;
+    }
+
+    // Copiar checklist, desmarcado
+    const { data: subtasks } = await supabase
+        .from('subtasks')
+        .select('title, position')
+        .eq('task_id', task.id);
+
+    if (subtasks && subtasks.length > 0) {
+        const { error: subtasksError } = await supabase
+            .from('subtasks')
+            .insert(subtasks.map(subtask => ({
+                task_id: nextTask.id,
+                user_id: userId,
+                title: subtask.title,
+                position: subtask.position,
+                completed: false,
+                created_at: new Date().toISOString()
+            })));
+
+        if (subtasksError) {
+            console.error('Copy subtasks error:', subtasksError);
+        }
+    }
+
+    await recordTaskChange(null, nextTask, { action: 'created', source: CHANGE_SOURCES.RECURRENCE });
+
+    console.log(`Recurring task generated: ${nextTask.id} (series ${task.series_id}) for user ${userId}`);
+    return nextTask;
+};
+
+// Aplicar alterações do modelo às ocorrências futuras ainda não concluídas da série
+const updateFutureOccurrences = async (task, recurrence, userId) => {
+    const { error } = await supabase
+        .from('tasks')
+        .update({ recurrence, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('series_id', task.series_id)
+        .gt('occurrence_index', task.occurrence_index || 1)
+        .neq('status', 'completed');
+
+    if (error) {
+        console.error('Update future occurrences error:', error);
+    }
+};
+
+module.exports = {
+    buildRecurrenceTemplate,
+    createNextOccurrence,
+    updateFutureOccurrences
+};
@@ -0,0 +1,212 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const MAX_TAGS_PER_TASK = 20;
+const DEFAULT_TAG_COLOR = '#6b7280';
+
+// Validar nome e cor de uma tag
+function validateTag({ name, color }, { partial = false } = {}) {
+    const value = {};
+
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return { isValid: false, error: 'Tag name is required' };
+        }
+        if (name.trim().length > 50) {
+            return { isValid: false, error: 'Tag name must be at most 50 characters' };
+        }
+        value.name = name.trim();
+    }
+
+    if (color !== undefined && color !== null) {
+        if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+            return { isValid: false, error: 'Tag color must be a hex color like #1a2b3c' };
+        }
+        value.color = color.toLowerCase();
+    } else if (!partial) {
+        value.color = DEFAULT_TAG_COLOR;
+    }
+
+    return { isValid: true, value };
+}
+
+// Validar lista de ids de tags do usuário (sem duplicatas)
+async function resolveTagIds(tagIds, userId) {
+    if (!Array.isArray(tagIds) || tagIds.some(id => typeof id !== 'string')) {
+        return { data: null, error: { status: 400, message: 'tagIds must be an array of tag ids' } };
+    }
+
+    const uniqueIds = [...new Set(tagIds)];
+    if (uniqueIds.length > MAX_TAGS_PER_TASK) {
+        return { data: null, error: { status: 400, message: `A task can have at most ${MAX_TAGS_PER_TASK} tags` } };
+    }
+
+    if (uniqueIds.length === 0) {
+        return { data: [], error: null };
+    }
+
+    const { data: tags, error } = await supabase
+        .from('tags')
+        .select('id')
+        .eq('user_id', userId)
+        .in('id', uniqueIds);
+
+    if (error) {
+        console.error('Fetch tags error:', error);
+        return { data: null, error: { status: 500, message: 'Failed to fetch tags' } };
+    }
+
+    if (tags.length !== uniqueIds.length) {
+        return { data: null, error: { status: 400, message: 'Unknown tag id' } };
+    }
+
+    return { data: uniqueIds, error: null };
+}
+
+// Tags de cada tarefa: { [taskId]: [tag, ...] }
+async function fetchTagsForTasks(taskIds, userId) {
+    if (taskIds.length === 0) {
+        return { data: {}, error: null };
+    }
+
+    const { data: links, error } = await supabase
+        .from('task_tags')
+        .select('task_id, tags(id, name, color)')
+        .eq('user_id', userId)
+        .in('task_id', taskIds);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    const byTask = {};
+    links.forEach(link => {
+        if (!link.tags) return;
+        (byTask[link.task_id] = byTask[link.task_id] || []).push(link.tags);
+    });
+
+    Object.values(byTask).forEach(tags => tags.sort((a, b) => a.name.localeCompare(b.name)));
+
+    return { data: byTask, error: null };
+}
+
+// Ids das tarefas que possuem pelo menos uma das tags
+async function findTaskIdsByTags(tagIds, userId) {
+    const { data: links, error } = await supabase
+        .from('task_tags')
+        .select('task_id')
+        .eq('user_id', userId)
+        .in('tag_id', tagIds);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return { data: [...new Set(links.map(link => link.task_id))], error: null };
+}
+
+// Contagem de tarefas ativas por tag: { [tagId]: { total, completed } }
+async function countTasksByTag(userId) {
+    const { data: links, error } = await supabase
+        .from('task_tags')
+        .select('tag_id, tasks!inner(status, deleted_at)')
+        .eq('user_id', userId)
+        .is('tasks.deleted_at', null);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    const counts = {};
+    links.forEach(link => {
+        const count = counts[link.tag_id] = counts[link.tag_id] || { total: 0, completed: 0 };
+        count.total++;
+        if (link.tasks.status === 'completed') count.completed++;
+    });
+
+    return { data: counts, error: null };
+}
+
+// Anexar e remover tags de uma tarefa
+async function addTaskTags(taskId, userId, tagIds) {
+    if (tagIds.length === 0) {
+        return { error: null };
+    }
+
+    const { error } = await supabase
+        .from('task_tags')
+        .upsert(
+            tagIds.map(tagId => ({
+                task_id: taskId,
+                tag_id: tagId,
+                user_id: userId,
+                created_at: new Date().toISOString()
+            })),
+            { onConflict: 'task_id,tag_id', ignoreDuplicates: true }
+        );
+
+    if (error) {
+        console.error('Attach tags error:', error);
+    }
+
+    return { error };
+}
+
+async function removeTaskTags(taskId, userId, tagIds) {
+    if (tagIds.length === 0) {
+        return { error: null };
+    }
+
+    const { error } = await supabase
+        .from('task_tags')
+        .delete()
+        .eq('task_id', taskId)
+        .eq('user_id', userId)
+        .in('tag_id', tagIds);
+
+    if (error) {
+        console.error('Detach tags error:', error);
+    }
+
+    return { error };
+}
+
+// Substituir o conjunto de tags da tarefa
+async function setTaskTags(taskId, userId, tagIds) {
+    const { data: current, error } = await supabase
+        .from('task_tags')
+        .select('tag_id')
+        .eq('task_id', taskId)
+        .eq('user_id', userId);
+
+    if (error) {
+        console.error('Fetch task tags error:', error);
+        return { error };
+    }
+
+    const currentIds = current.map(link => link.tag_id);
+    const { error: removeError } = await removeTaskTags(taskId, userId, currentIds.filter(id => !tagIds.includes(id)));
+    if (removeError) {
+        return { error: removeError };
+    }
+
+    return addTaskTags(taskId, userId, tagIds.filter(id => !currentIds.includes(id)));
+}
+
+module.exports = {
+    MAX_TAGS_PER_TASK,
+    DEFAULT_TAG_COLOR,
+    validateTag,
+    resolveTagIds,
+    fetchTagsForTasks,
+    findTaskIdsByTags,
+    countTasksByTag,
+    addTaskTags,
+    removeTaskTags,
+    setTaskTags
+};
@@ -0,0 +1,90 @@
+// Funções auxiliares compartilhadas pelas rotas de tarefas
+
+// Calcular progresso a partir da lista de subtarefas
+function calculateProgress(subtasks) {
+    const total = subtasks.length;
+    const completed = subtasks.filter(subtask => subtask.completed).length;
+
+    return {
+        total,
+        completed,
+        percentage: total > 0 ? Math.round((completed / total) * 100) : null
+    };
+}
+
+// Anexar subtarefas e progresso a cada tarefa
+function attachSubtasks(tasks, subtasks) {
+    const byTask = {};
+    subtasks.forEach(subtask => {
+        (byTask[subtask.task_id] = byTask[subtask.task_id] || []).push(subtask);
+    });
+
+    return tasks.map(task => {
+        const taskSubtasks = (byTask[task.id] || []).sort((a, b) => a.position - b.position);
+        return {
+            ...task,
+            subtasks: taskSubtasks,
+            progress: calculateProgress(taskSubtasks)
+        };
+    });
+}
+
+// Estatísticas agregadas de uma lista de tarefas
+function calculateTaskStats(tasks, now = new Date()) {
+    const count = (predicate) => tasks.filter(predicate).length;
+    const total = tasks.length;
+    const completed = count(task => task.status === 'completed');
+
+    return {
+        total_tasks: total,
+        completed_tasks: completed,
+        pending_tasks: count(task => task.status === 'pending'),
+        in_progress_tasks: count(task => task.status === 'in_progress'),
+        overdue_tasks: count(task => task.status !== 'completed' && task.due_date && new Date(task.due_date) < now),
+        quadrant_1_tasks: count(task => task.quadrant === 1),
+        quadrant_2_tasks: count(task => task.quadrant === 2),
+        quadrant_3_tasks: count(task => task.quadrant === 3),
+        quadrant_4_tasks: count(task => task.quadrant === 4),
+        completion_rate: total > 0 ? Math.round((completed / total) * 100) : 0
+    };
+}
+
+// Estimado x registrado (em minutos) por quadrante e no total.
+// `trackedSeconds`: { [taskId]: segundos registrados }
+function calculateTimeStats(tasks, trackedSeconds = {}) {
+    const summarize = (group) => {
+        const estimated = group.filter(task => task.estimate_minutes);
+        const estimatedMinutes = estimated.reduce((total, task) => total + task.estimate_minutes, 0);
+        const trackedMinutes = Math.round(group.reduce((total, task) => total + (trackedSeconds[task.id] || 0), 0) / 60);
+
+        // Precisão só considera tarefas concluídas com estimativa e tempo registrado
+        const measured = estimated.filter(task => task.status === 'completed' && trackedSeconds[task.id]);
+        const measuredEstimate = measured.reduce((total, task) => total + task.estimate_minutes, 0);
+        const measuredActual = measured.reduce((total, task) => total + trackedSeconds[task.id], 0) / 60;
+
+        return {
+            estimated_minutes: estimatedMinutes,
+            tracked_minutes: trackedMinutes,
+            tasks_with_estimate: estimated.length,
+            tasks_with_time: group.filter(task => trackedSeconds[task.id]).length,
+            actual_vs_estimate_ratio: measuredEstimate > 0 ? Math.round((measuredActual / measuredEstimate) * 100) / 100 : null
+        };
+    };
+
+    const byQuadrant = {};
+    [1, 2, 3, 4].forEach(quadrant => {
+        byQuadrant[quadrant] = summarize(tasks.filter(task => task.quadrant === quadrant));
+    });
+
+    return {
+        ...summarize(tasks),
+        by_quadrant: byQuadrant
+    };
+}
+
+module.exports = {
+    calculateProgress,
+    attachSubtasks,
+    calculateTaskStats,
+    calculateTimeStats
+};
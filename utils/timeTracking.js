@@ -0,0 +1,81 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const MAX_ENTRY_MINUTES = 24 * 60; // lançamento manual de até 1 dia
+
+// Duração do registro em segundos (cronômetro em andamento conta até agora)
+const entrySeconds = (entry, now = new Date()) => {
+    if (entry.ended_at) {
+        return entry.duration_seconds || 0;
+    }
+    return Math.max(0, Math.floor((now - new Date(entry.started_at)) / 1000));
+};
+
+// Cronômetro em andamento do usuário (no máximo um, em qualquer tarefa)
+async function findRunningTimer(userId) {
+    const { data: entries, error } = await supabase
+        .from('time_entries')
+        .select('*')
+        .eq('user_id', userId)
+        .is('ended_at', null)
+        .limit(1);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return { data: entries[0] || null, error: null };
+}
+
+// Encerrar cronômetro calculando a duração
+async function stopTimer(entry, now = new Date()) {
+    const { data: stopped, error } = await supabase
+        .from('time_entries')
+        .update({
+            ended_at: now.toISOString(),
+            duration_seconds: entrySeconds(entry, now),
+            updated_at: now.toISOString()
+        })
+        .eq('id', entry.id)
+        .is('ended_at', null)
+        .select()
+        .single();
+
+    return { data: stopped, error };
+}
+
+// Tempo registrado por tarefa: { [taskId]: segundos }
+async function sumTrackedSeconds(taskIds, now = new Date()) {
+    if (taskIds.length === 0) {
+        return { data: {}, error: null };
+    }
+
+    const { data: entries, error } = await supabase
+        .from('time_entries')
+        .select('task_id, started_at, ended_at, duration_seconds')
+        .in('task_id', taskIds);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    const totals = {};
+    entries.forEach(entry => {
+        totals[entry.task_id] = (totals[entry.task_id] || 0) + entrySeconds(entry, now);
+    });
+
+    return { data: totals, error: null };
+}
+
+module.exports = {
+    MAX_ENTRY_MINUTES,
+    entrySeconds,
+    findRunningTimer,
+    stopTimer,
+    sumTrackedSeconds
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// Implementação de TOTP (RFC 6238) compatível com Google Authenticator e similares
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD = 30; // segundos
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+// Gerar segredo aleatório (160 bits)
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// Passo de tempo atual
+function currentStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / PERIOD);
+}
+
+// Gerar código para um passo de tempo
+function generateCode(secret, step = currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Verificar código com tolerância de ±window passos; retorna o passo aceito ou null
+function verifyCode(secret, code, window = 1, timestamp = Date.now()) {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const step = currentStep(timestamp);
+    for (let delta = -window; delta <= window; delta++) {
+        const expected = Buffer.from(generateCode(secret, step + delta));
+        if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+            return step + delta;
+        }
+    }
+
+    return null;
+}
+
+// Montar URI otpauth:// para apps autenticadores (QR code)
+function buildOtpauthUri(secret, accountName, issuer = process.env.TOTP_ISSUER || 'Eisenhower Matrix') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    currentStep,
+    base32Encode,
+    base32Decode
+};
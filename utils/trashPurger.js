@@ -0,0 +1,148 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tabelas que referenciam a tarefa, apagadas antes dela
+const TASK_CHILD_TABLES = [
+    { table: 'subtasks', column: 'task_id' },
+    { table: 'task_quadrant_moves', column: 'task_id' },
+    { table: 'task_history', column: 'task_id' },
+    { table: 'task_tags', column: 'task_id' },
+    { table: 'task_comments', column: 'task_id' },
+    { table: 'task_dependencies', column: 'task_id' },
+    { table: 'task_dependencies', column: 'blocked_by_task_id' },
+    { table: 'time_entries', column: 'task_id' },
+    { table: 'focus_sessions', column: 'task_id' }
+];
+
+// Apagar definitivamente tarefas e seus dados dependentes
+const purgeTasks = async (taskIds) => {
+    if (taskIds.length === 0) {
+        return { data: 0, error: null };
+    }
+
+    for (const { table, column } of TASK_CHILD_TABLES) {
+        const { error } = await supabase
+            .from(table)
+            .delete()
+            .in(column, taskIds);
+
+        if (error) {
+            console.error(`Purge ${table} error:`, error);
+            return { data: null, error };
+        }
+    }
+
+    const { error } = await supabase
+        .from('tasks')
+        .delete()
+        .in('id', taskIds);
+
+    if (error) {
+        console.error('Purge tasks error:', error);
+        return { data: null, error };
+    }
+
+    return { data: taskIds.length, error: null };
+};
+
+// Remove definitivamente tarefas que estão na lixeira há mais que o período de retenção
+class TrashPurger {
+    constructor(options = {}) {
+        this.retentionDays = options.retentionDays || parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+        this.intervalMs = options.intervalMs || parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000; // 1 hora
+        this.batchSize = options.batchSize || 500;
+
+        this.timer = null;
+        this.running = false;
+        this.lastRun = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.run().catch(error => console.error('Trash purge run error:', error));
+        }, this.intervalMs);
+
+        console.log(`🗑️ Trash purger started (retention ${this.retentionDays} days)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Data em que uma tarefa excluída em `deletedAt` será removida
+    getPurgeDate(deletedAt) {
+        return new Date(new Date(deletedAt).getTime() + this.retentionDays * DAY_MS).toISOString();
+    }
+
+    getStatus() {
+        return {
+            active: !!this.timer,
+            running: this.running,
+            retentionDays: this.retentionDays,
+            intervalMs: this.intervalMs,
+            lastRun: this.lastRun
+        };
+    }
+
+    async run() {
+        if (this.running) {
+            return null;
+        }
+
+        this.running = true;
+        const startedAt = new Date();
+        const cutoff = new Date(startedAt.getTime() - this.retentionDays * DAY_MS);
+
+        try {
+            const { data: expired, error } = await supabase
+                .from('tasks')
+                .select('id')
+                .not('deleted_at', 'is', null)
+                .lt('deleted_at', cutoff.toISOString())
+                .limit(this.batchSize);
+
+            if (error) {
+                console.error('Fetch expired trash error:', error);
+                return null;
+            }
+
+            const { data: purged } = await purgeTasks(expired.map(task => task.id));
+
+            this.lastRun = {
+                startedAt: startedAt.toISOString(),
+                finishedAt: new Date().toISOString(),
+                purged: purged || 0
+            };
+
+            if (purged > 0) {
+                console.log(`Trash purge: ${purged} tasks permanently deleted`);
+            }
+
+            return this.lastRun;
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+// Instância global
+const trashPurger = new TrashPurger();
+
+module.exports = {
+    TASK_CHILD_TABLES,
+    TrashPurger,
+    trashPurger,
+    purgeTasks
+};
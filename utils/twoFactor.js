@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const totp = require('./totp');
+
+// Configuração Supabase
+const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_ANON_KEY
+);
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+
+// Chave de criptografia dos segredos TOTP
+const getEncryptionKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+// Criptografar segredo (AES-256-GCM)
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(code.replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+// Gerar códigos de recuperação no formato xxxxx-xxxxx
+const generateRecoveryCodes = () => {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+};
+
+// Buscar configuração de 2FA do usuário
+const getSettings = async (userId) => {
+    const { data, error } = await supabase
+        .from('user_two_factor')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    return { data, error };
+};
+
+const isEnabled = async (userId) => {
+    const { data, error } = await getSettings(userId);
+    if (error) {
+        throw error;
+    }
+    return !!(data && data.enabled_at);
+};
+
+// Iniciar cadastro: gera segredo pendente até o primeiro código ser confirmado
+const startEnrollment = async (userId, email) => {
+    const secret = totp.generateSecret();
+
+    const { error } = await supabase
+        .from('user_two_factor')
+        .upsert({
+            user_id: userId,
+            pending_secret: encryptSecret(secret),
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'user_id' });
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return {
+        data: {
+            secret,
+            otpauthUri: totp.buildOtpauthUri(secret, email)
+        },
+        error: null
+    };
+};
+
+// Confirmar cadastro com o primeiro código
+const confirmEnrollment = async (userId, code) => {
+    const { data: settings, error: fetchError } = await getSettings(userId);
+
+    if (fetchError || !settings || !settings.pending_secret) {
+        return { data: null, error: { status: 400, message: 'No pending 2FA enrollment' } };
+    }
+
+    const secret = decryptSecret(settings.pending_secret);
+    const step = totp.verifyCode(secret, code);
+
+    if (step === null) {
+        return { data: null, error: { status: 400, message: 'Invalid verification code' } };
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    const { error } = await supabase
+        .from('user_two_factor')
+        .update({
+            secret: settings.pending_secret,
+            pending_secret: null,
+            recovery_codes: recoveryCodes.map(hashRecoveryCode),
+            last_used_step: step,
+            enabled_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .eq('user_id', userId);
+
+    if (error) {
+        return { data: null, error: { status: 500, message: 'Failed to enable 2FA' } };
+    }
+
+    return { data: { recoveryCodes }, error: null };
+};
+
+// Verificar código TOTP ou código de recuperação (cada um só pode ser usado uma vez)
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    const { data: settings, error } = await getSettings(userId);
+
+    if (error || !settings || !settings.enabled_at) {
+        return { data: null, error: { message: '2FA is not enabled' } };
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(String(recoveryCode));
+        const remaining = (settings.recovery_codes || []).filter(stored => stored !== hash);
+
+        if (remaining.length === (settings.recovery_codes || []).length) {
+            return { data: null, error: { message: 'Invalid recovery code' } };
+        }
+
+        const { error: updateError } = await supabase
+            .from('user_two_factor')
+            .update({ recovery_codes: remaining, updated_at: new Date().toISOString() })
+            .eq('user_id', userId);
+
+        if (updateError) {
+            return { data: null, error: { message: 'Failed to consume recovery code' } };
+        }
+
+        return { data: { method: 'recovery_code', remainingRecoveryCodes: remaining.length }, error: null };
+    }
+
+    const step = totp.verifyCode(decryptSecret(settings.secret), code);
+
+    // Rejeitar código inválido ou já utilizado (replay)
+    if (step === null || (settings.last_used_step !== null && step <= settings.last_used_step)) {
+        return { data: null, error: { message: 'Invalid verification code' } };
+    }
+
+    const { error: updateError } = await supabase
+        .from('user_two_factor')
+        .update({ last_used_step: step, updated_at: new Date().toISOString() })
+        .eq('user_id', userId);
+
+    if (updateError) {
+        return { data: null, error: { message: 'Failed to verify code' } };
+    }
+
+    return { data: { method: 'totp' }, error: null };
+};
+
+// Gerar novo conjunto de códigos de recuperação
+const regenerateRecoveryCodes = async (userId) => {
+    const recoveryCodes = generateRecoveryCodes();
+
+    const { error } = await supabase
+        .from('user_two_factor')
+        .update({
+            recovery_codes: recoveryCodes.map(hashRecoveryCode),
+            updated_at: new Date().toISOString()
+        })
+        .eq('user_id', userId)
+        .not('enabled_at', 'is', null);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return { data: { recoveryCodes }, error: null };
+};
+
+const disable = async (userId) => {
+    const { error } = await supabase
+        .from('user_two_factor')
+        .delete()
+        .eq('user_id', userId);
+
+    return { error };
+};
+
+// Token de desafio emitido pelo /login quando 2FA está ativo
+const signChallengeToken = (userId) => {
+    return jwt.sign(
+        { userId, type: '2fa_challenge' },
+        process.env.JWT_SECRET,
+        { expiresIn: CHALLENGE_EXPIRES_IN, jwtid: crypto.randomUUID() }
+    );
+};
+
+const verifyChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.type === '2fa_challenge' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    getSettings,
+    isEnabled,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disable,
+    signChallengeToken,
+    verifyChallengeToken
+};
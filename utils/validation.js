@@ -5,13 +5,57 @@ const { JSDOM } = require('jsdom');
 const window = new JSDOM('').window;
 const DOMPurify = createDOMPurify(window);
 
+// Estimativa de uma tarefa: até 1 semana de trabalho contínuo
+const MAX_ESTIMATE_MINUTES = 7 * 24 * 60;
+
 // Schema para validação de tarefas
 const taskSchema = Joi.object({
     title: Joi.string().min(1).max(500).required(),
     quadrant: Joi.number().integer().min(1).max(4).required(),
     description: Joi.string().max(2000).allow('').optional(),
-    priority: Joi.string().valid('baixa', 'media', 'alta').optional(),
-    status: Joi.string().valid('pendente', 'em_progresso', 'concluida').optional()
+    priority: Joi.string().valid('low', 'medium', 'high').optional(),
+    status: Joi.string().valid('pending', 'in_progress', 'completed').optional(),
+    dueDate: Joi.date().iso().allow(null).optional(),
+    recurrence: Joi.object().allow(null).optional(),
+    matrixId: Joi.string().allow(null).optional(),
+    estimateMinutes: Joi.number().integer().min(1).max(MAX_ESTIMATE_MINUTES).allow(null).optional()
+});
+
+// Schema para operações em lote (POST /api/tasks/bulk)
+const BULK_OPERATIONS = ['create', 'update', 'move', 'complete', 'delete'];
+
+const bulkOperationSchema = Joi.object({
+    op: Joi.string().valid(...BULK_OPERATIONS).required(),
+    id: Joi.when('op', {
+        is: 'create',
+        then: Joi.forbidden(),
+        otherwise: Joi.string().required()
+    }),
+    data: Joi.when('op', {
+        switch: [
+            {
+                is: 'create',
+                then: taskSchema.fork(['recurrence'], schema => schema.forbidden()).required()
+            },
+            {
+                is: 'update',
+                then: Joi.object({
+                    title: Joi.string().trim().min(1).max(500),
+                    description: Joi.string().max(2000).allow('', null),
+                    priority: Joi.string().valid('low', 'medium', 'high'),
+                    status: Joi.string().valid('pending', 'in_progress', 'completed'),
+                    dueDate: Joi.date().iso().allow(null),
+                    estimateMinutes: Joi.number().integer().min(1).max(MAX_ESTIMATE_MINUTES).allow(null)
+                }).min(1).required()
+            }
+        ],
+        otherwise: Joi.forbidden()
+    }),
+    quadrant: Joi.when('op', {
+        is: 'move',
+        then: Joi.number().integer().min(1).max(4).required(),
+        otherwise: Joi.forbidden()
+    })
 });
 
 // Schema para validação de usuário
@@ -33,24 +77,53 @@ const aiRequestSchema = Joi.object({
     context: Joi.string().max(1000).optional()
 });
 
+// Converter resultado do Joi no formato usado pelas rotas
+function toValidationResult({ error, value }) {
+    return {
+        isValid: !error,
+        error: error ? error.details[0].message : null,
+        value
+    };
+}
+
 // Função para validar tarefas
 function validateTask(task) {
-    return taskSchema.validate(task);
+    return toValidationResult(taskSchema.validate(task));
+}
+
+// Função para validar uma operação do lote
+function validateBulkOperation(operation) {
+    return toValidationResult(bulkOperationSchema.validate(operation));
 }
 
 // Função para validar usuário
 function validateUser(user) {
-    return userSchema.validate(user);
+    return toValidationResult(userSchema.validate(user));
 }
 
 // Função para validar login
 function validateLogin(credentials) {
-    return loginSchema.validate(credentials);
+    return toValidationResult(loginSchema.validate(credentials));
 }
 
 // Função para validar request de IA
 function validateAIRequest(request) {
-    return aiRequestSchema.validate(request);
+    return toValidationResult(aiRequestSchema.validate(request));
+}
+
+// Função para validar formato de e-mail
+function validateEmail(email) {
+    if (typeof email !== 'string' || email.length > 254) return false;
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+}
+
+// Função para validar força da senha (mínimo 8, maiúscula, minúscula, número e especial)
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 8 || password.length > 100) return false;
+    return /[a-z]/.test(password) &&
+        /[A-Z]/.test(password) &&
+        /\d/.test(password) &&
+        /[^A-Za-z0-9]/.test(password);
 }
 
 // Função para sanitizar HTML
@@ -76,12 +149,18 @@ function sanitizeUserData(data) {
 
 module.exports = {
     validateTask,
+    validateBulkOperation,
     validateUser,
     validateLogin,
     validateAIRequest,
+    validateEmail,
+    validatePassword,
     sanitizeHtml,
     sanitizeUserData,
+    BULK_OPERATIONS,
+    MAX_ESTIMATE_MINUTES,
     taskSchema,
+    bulkOperationSchema,
     userSchema,
     loginSchema,
     aiRequestSchema
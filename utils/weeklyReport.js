@@ -0,0 +1,257 @@
+// Revisão semanal (GET /api/reports/weekly): montagem e renderização em Markdown/HTML
+
+const { dayKey } = require('./focusSessions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CARRY_OVER = 10;
+const STALE_DAYS = 14;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+// Semana (segunda a domingo, no fuso do usuário) que contém ?week=YYYY-MM-DD; padrão: a semana atual
+function resolveWeek({ week, tzOffset } = {}, now = new Date()) {
+    const tzOffsetMinutes = tzOffset === undefined ? 0 : parseInt(tzOffset);
+    if (!Number.isInteger(tzOffsetMinutes) || tzOffsetMinutes < -720 || tzOffsetMinutes > 840) {
+        return { isValid: false, error: 'tzOffset must be between -720 and 840 minutes' };
+    }
+
+    const day = week || dayKey(now, tzOffsetMinutes);
+    if (!DATE_PATTERN.test(day) || isNaN(new Date(day).getTime())) {
+        return { isValid: false, error: 'week must be a date (YYYY-MM-DD)' };
+    }
+
+    const date = new Date(`${day}T00:00:00Z`);
+    const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+    const offsetMs = tzOffsetMinutes * 60 * 1000;
+
+    return {
+        isValid: true,
+        value: {
+            from: monday.toISOString().slice(0, 10),
+            to: new Date(monday.getTime() + 6 * DAY_MS).toISOString().slice(0, 10),
+            tzOffsetMinutes,
+            weekStart: new Date(monday.getTime() - offsetMs),
+            weekEnd: new Date(monday.getTime() + 7 * DAY_MS - offsetMs)
+        }
+    };
+}
+
+const inWeek = (value, week) => {
+    if (!value) return false;
+    const date = new Date(value);
+    return date >= week.weekStart && date < week.weekEnd;
+};
+
+const summarizeTask = (task) => ({
+    id: task.id,
+    task_number: task.task_number,
+    title: task.title,
+    quadrant: task.quadrant,
+    status: task.status,
+    due_date: task.due_date || null,
+    completed_at: task.completed_at || null
+});
+
+// Sugestão para uma tarefa que fica para a próxima semana (null = nada a sugerir)
+const carryOverSuggestion = (task, week, now) => {
+    const overdue = task.due_date && new Date(task.due_date) < now;
+    const ageDays = (now - new Date(task.created_at)) / DAY_MS;
+
+    if (overdue && task.quadrant === 1) return 'Prazo vencido: resolver no início da semana ou renegociar o prazo';
+    if (overdue) return 'Prazo vencido: reagendar ou promover para o Q1';
+    if (task.quadrant === 1) return 'Manter no topo da próxima semana';
+    if (task.quadrant === 2 && !task.due_date) return 'Reservar um bloco de tempo na agenda da próxima semana';
+    if (task.quadrant === 2 && new Date(task.due_date) < new Date(week.weekEnd.getTime() + 7 * DAY_MS)) {
+        return 'Prazo na próxima semana: começar antes que vire urgente';
+    }
+    if (task.quadrant === 3) return 'Avaliar delegação';
+    if (task.quadrant === 4 && ageDays > STALE_DAYS) return `Parada há ${Math.floor(ageDays)} dias: considerar eliminar`;
+    return null;
+};
+
+// Montar o relatório a partir das tarefas ativas do usuário e das movimentações da semana
+function buildWeeklyReport(tasks, moves, week, now = new Date()) {
+    const completed = tasks.filter(task => task.status === 'completed' && inWeek(task.completed_at, week));
+    const created = tasks.filter(task => inWeek(task.created_at, week));
+
+    // Prazo vencido dentro da semana sem conclusão até o prazo
+    const slipped = tasks.filter(task => inWeek(task.due_date, week) && new Date(task.due_date) < now &&
+        (task.status !== 'completed' || !task.completed_at || new Date(task.completed_at) > new Date(task.due_date)));
+
+    const overdue = tasks
+        .filter(task => task.status !== 'completed' && task.due_date && new Date(task.due_date) < now)
+        .sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
+
+    // Movimentações agrupadas por tarefa, em ordem cronológica
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const movedById = new Map();
+    [...moves]
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .forEach(move => {
+            const task = tasksById.get(move.task_id);
+            if (!task) return;
+            if (!movedById.has(task.id)) movedById.set(task.id, { ...summarizeTask(task), moves: [] });
+            movedById.get(task.id).moves.push({
+                from: move.from_quadrant,
+                to: move.to_quadrant,
+                source: move.source,
+                at: move.created_at
+            });
+        });
+
+    // Equilíbrio Q2 x Q1: conclusões da semana nos dois quadrantes
+    const q1 = completed.filter(task => task.quadrant === 1).length;
+    const q2 = completed.filter(task => task.quadrant === 2).length;
+
+    const carryOver = tasks
+        .filter(task => task.status !== 'completed' && new Date(task.created_at) < week.weekEnd)
+        .map(task => ({ ...summarizeTask(task), suggestion: carryOverSuggestion(task, week, now) }))
+        .filter(task => task.suggestion)
+        .sort((a, b) => a.quadrant - b.quadrant ||
+            (a.due_date ? new Date(a.due_date).getTime() : Infinity) - (b.due_date ? new Date(b.due_date).getTime() : Infinity))
+        .slice(0, MAX_CARRY_OVER);
+
+    return {
+        week: { from: week.from, to: week.to, tzOffset: week.tzOffsetMinutes },
+        generated_at: now.toISOString(),
+        summary: {
+            completed: completed.length,
+            created: created.length,
+            slipped: slipped.length,
+            moved: movedById.size,
+            overdue: overdue.length
+        },
+        balance: {
+            quadrant_1_completed: q1,
+            quadrant_2_completed: q2,
+            quadrant_2_share: q1 + q2 > 0 ? Math.round((q2 / (q1 + q2)) * 100) : null
+        },
+        completed: completed.map(summarizeTask),
+        slipped: slipped.map(summarizeTask),
+        created: created.map(summarizeTask),
+        moved: [...movedById.values()],
+        overdue: overdue.map(summarizeTask),
+        carry_over: carryOver,
+        narrative: null
+    };
+}
+
+// Texto do prompt para a narrativa do Gemini (apenas números e títulos)
+function buildNarrativePrompt(report) {
+    const titles = (list) => list.map(task => `- [Q${task.quadrant}] ${task.title}`).join('\n') || 'Nenhuma';
+
+    return `
+Você é um coach de produtividade especializado na Matriz de Eisenhower.
+Escreva uma revisão semanal curta (máximo 150 palavras), em português brasileiro, para a semana de ${report.week.from} a ${report.week.to}.
+
+NÚMEROS DA SEMANA:
+${JSON.stringify({ summary: report.summary, balance: report.balance })}
+
+CONCLUÍDAS:
+${titles(report.completed)}
+
+PRAZOS PERDIDOS:
+${titles(report.slipped)}
+
+PARA A PRÓXIMA SEMANA:
+${titles(report.carry_over)}
+
+Comente o equilíbrio entre Q2 e Q1, reconheça o que foi feito e termine com uma recomendação prática.
+Responda apenas com o texto, sem formatação adicional.
+`;
+}
+
+const formatDate = (value) => value ? new Date(value).toISOString().slice(0, 10) : '';
+
+const taskLine = (task, extra = '') => `#${task.task_number ?? '-'} ${task.title} (Q${task.quadrant})${extra}`;
+
+const SECTIONS = [
+    ['completed', 'Concluídas', task => taskLine(task, ` — concluída em ${formatDate(task.completed_at)}`)],
+    ['slipped', 'Prazos perdidos', task => taskLine(task, ` — prazo ${formatDate(task.due_date)}`)],
+    ['created', 'Criadas na semana', task => taskLine(task)],
+    ['moved', 'Movidas entre quadrantes', task => taskLine(task, ` — ${task.moves.map(move => `Q${move.from}→Q${move.to}`).join(', ')}`)],
+    ['overdue', 'Atrasadas', task => taskLine(task, ` — prazo ${formatDate(task.due_date)}`)],
+    ['carry_over', 'Para a próxima semana', task => taskLine(task, ` — ${task.suggestion}`)]
+];
+
+const balanceLine = (report) => {
+    const { quadrant_1_completed: q1, quadrant_2_completed: q2, quadrant_2_share: share } = report.balance;
+    return `Q2 x Q1: ${q2} x ${q1} concluídas` + (share === null ? '' : ` (${share}% em Q2)`);
+};
+
+function renderMarkdown(report) {
+    const lines = [
+        `# Revisão semanal — ${report.week.from} a ${report.week.to}`,
+        '',
+        `- Concluídas: ${report.summary.completed}`,
+        `- Criadas: ${report.summary.created}`,
+        `- Prazos perdidos: ${report.summary.slipped}`,
+        `- Movidas: ${report.summary.moved}`,
+        `- Atrasadas: ${report.summary.overdue}`,
+        `- ${balanceLine(report)}`
+    ];
+
+    if (report.narrative) {
+        lines.push('', '## Comentário', '', report.narrative);
+    }
+
+    SECTIONS.forEach(([key, title, format]) => {
+        lines.push('', `## ${title}`, '');
+        lines.push(...(report[key].length > 0 ? report[key].map(item => `- ${format(item)}`) : ['_Nenhuma_']));
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+// Documento HTML autônomo (estilos embutidos, sem recursos externos)
+function renderHtml(report) {
+    const title = `Revisão semanal — ${report.week.from} a ${report.week.to}`;
+    const list = (items, format) => items.length > 0
+        ? `<ul>${items.map(item => `<li>${escapeHtml(format(item))}</li>`).join('')}</ul>`
+        : '<p class="empty">Nenhuma</p>';
+
+    const summary = [
+        ['Concluídas', report.summary.completed],
+        ['Criadas', report.summary.created],
+        ['Prazos perdidos', report.summary.slipped],
+        ['Movidas', report.summary.moved],
+        ['Atrasadas', report.summary.overdue]
+    ].map(([label, value]) => `<div class="stat"><strong>${value}</strong><span>${label}</span></div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, Segoe UI, Roboto, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2933; }
+h1 { font-size: 1.5rem; }
+h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 1px solid #e4e7eb; padding-bottom: .25rem; }
+.stats { display: flex; flex-wrap: wrap; gap: 1rem; }
+.stat { background: #f5f7fa; border-radius: 6px; padding: .75rem 1rem; min-width: 100px; }
+.stat strong { display: block; font-size: 1.4rem; }
+.empty { color: #7b8794; font-style: italic; }
+blockquote { margin: 0; padding: .5rem 1rem; border-left: 3px solid #3e7bfa; background: #f0f4ff; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="stats">${summary}</div>
+<p>${escapeHtml(balanceLine(report))}</p>
+${report.narrative ? `<h2>Comentário</h2>\n<blockquote>${escapeHtml(report.narrative)}</blockquote>` : ''}
+${SECTIONS.map(([key, sectionTitle, format]) => `<h2>${sectionTitle}</h2>\n${list(report[key], format)}`).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    resolveWeek,
+    buildWeeklyReport,
+    buildNarrativePrompt,
+    renderMarkdown,
+    renderHtml
+};